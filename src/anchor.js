@@ -10,13 +10,14 @@
 import Plugin from '@ckeditor/ckeditor5-core/src/plugin';
 import AnchorEditing from './anchorediting';
 import AnchorUI from './anchorui';
+import AnchorBadges from './anchorbadges';
 import AutoAnchor from './autoanchor';
 
 /**
  * The anchor plugin.
  *
- * This is a "glue" plugin that loads the {@link module:anchor/anchorediting~AnchorEditing anchor editing feature}
- * and {@link module:anchor/anchorui~AnchorUI anchor UI feature}.
+ * This is a "glue" plugin that loads the {@link module:anchor/anchorediting~AnchorEditing anchor editing feature},
+ * {@link module:anchor/anchorui~AnchorUI anchor UI feature} and {@link module:anchor/anchorbadges~AnchorBadges anchor badges feature}.
  *
  * @extends module:core/plugin~Plugin
  */
@@ -25,7 +26,7 @@ export default class Anchor extends Plugin {
 	 * @inheritDoc
 	 */
 	static get requires() {
-		return [ AnchorEditing, AnchorUI, AutoAnchor ];
+		return [ AnchorEditing, AnchorUI, AnchorBadges, AutoAnchor ];
 	}
 
 	/**
@@ -59,25 +60,492 @@ export default class Anchor extends Plugin {
  */
 
 /**
- * When set, the editor will add the given protocol to the anchor when the user creates a anchor without one.
- * For example, when the user is creating a anchor and types `ckeditor.com` in the anchor form input, during anchor submission
- * the editor will automatically add the `http://` protocol, so the anchor will look as follows: `http://ckeditor.com`.
+ * The protocol added to URLs without one by the
+ * {@link module:anchor/utils~addAnchorProtocolIfApplicable `addAnchorProtocolIfApplicable()`} helper.
  *
- * The feature also provides email address auto-detection. When you submit `hello@example.com`,
- * the plugin will automatically change it to `mailto:hello@example.com`.
+ * @deprecated Anchors are not links, so no feature of this package uses this option anymore. The
+ * {@link module:anchor/autoanchor~AutoAnchor autoanchor feature} does not turn the typed URLs into anchors.
+ * @member {String} module:anchor/anchor~AnchorConfig#defaultProtocol
+ */
+
+/**
+ * A callback sanitizing anchor IDs before they are rendered in the data and in the editing view. It is called with an ID
+ * already sanitized by the {@link module:anchor/utils~sanitizeAnchorId default sanitizer} and should return the final ID.
+ * It allows applying stricter rules than the default ones.
  *
- * 		ClassicEditor
+ *		ClassicEditor
  *			.create( editorElement, {
- * 				anchor: {
- * 					defaultProtocol: 'http://'
- * 				}
+ *				anchor: {
+ *					sanitizeId: id => id.replace( /[^a-z0-9-]/g, '' )
+ *				}
  *			} )
  *			.then( ... )
  *			.catch( ... );
  *
- * **NOTE:** If no configuration is provided, the editor will not auto-fix the anchors.
+ * **Note**: The callback changes the rendered ID only. The ID stored in the model is left untouched.
  *
- * @member {String} module:anchor/anchor~AnchorConfig#defaultProtocol
+ * @member {Function} module:anchor/anchor~AnchorConfig#sanitizeId
+ */
+
+/**
+ * A prefix added to every anchor ID in the editor data, for example `user-content-`. It protects the page hosting the content
+ * against IDs clobbering global variables or colliding with IDs of the application's own elements.
+ *
+ *		ClassicEditor
+ *			.create( editorElement, {
+ *				anchor: {
+ *					idPrefix: 'user-content-'
+ *				}
+ *			} )
+ *			.then( ... )
+ *			.catch( ... );
+ *
+ * The prefix is added when the data is downcast (`<a id="user-content-intro">`) and stripped when the data is loaded,
+ * so authors never see it: the model and the editing view contain just `intro`.
+ *
+ * @default ''
+ * @member {String} module:anchor/anchor~AnchorConfig#idPrefix
+ */
+
+/**
+ * The URL of the published document, used when the link to an anchor is copied (see the `'copyAnchorLink'` command).
+ * The link is the base URL followed by the anchor ID (with the
+ * {@link module:anchor/anchor~AnchorConfig#idPrefix ID prefix}) as the fragment.
+ *
+ *		ClassicEditor
+ *			.create( editorElement, {
+ *				anchor: {
+ *					baseUrl: 'https://example.com/docs/42'
+ *				}
+ *			} )
+ *			.then( ... )
+ *			.catch( ... );
+ *
+ * It can also be a callback receiving the editor and returning the base URL, for instance, when the URL depends on the document
+ * currently loaded into the editor:
+ *
+ *		baseUrl: editor => `https://example.com/docs/${ editor.sourceElement.dataset.documentId }`
+ *
+ * By default, the URL of the current page (without the hash) is used.
+ *
+ * @default null
+ * @member {String|Function|null} module:anchor/anchor~AnchorConfig#baseUrl
+ */
+
+/**
+ * Anchor IDs which cannot be used by authors. Each item is either an ID or a regular expression matching IDs.
+ * The `'anchor'` command refuses reserved IDs and the anchor balloon reports them as an error.
+ *
+ *		ClassicEditor
+ *			.create( editorElement, {
+ *				anchor: {
+ *					reservedIds: [ 'location', 'submit', 'forms', /^app-/ ]
+ *				}
+ *			} )
+ *			.then( ... )
+ *			.catch( ... );
+ *
+ * The reserved IDs are checked after the {@link module:anchor/anchor~AnchorConfig#idPolicy ID policy} was applied.
+ * The same check can be done outside of the editor using the {@link module:anchor/utils~isReservedAnchorId `isReservedAnchorId()`}
+ * utility.
+ *
+ * @default []
+ * @member {Array.<String|RegExp>} module:anchor/anchor~AnchorConfig#reservedIds
+ */
+
+/**
+ * The format of anchors in the editor data. By default, anchors are rendered as `<a id="intro" name="intro">`.
+ *
+ *		ClassicEditor
+ *			.create( editorElement, {
+ *				anchor: {
+ *					output: {
+ *						element: 'span',
+ *						idAttributes: [ 'id' ],
+ *						classes: [ 'anchor' ],
+ *						attributes: { 'data-anchor': 'true' }
+ *					}
+ *				}
+ *			} )
+ *			.then( ... )
+ *			.catch( ... );
+ *
+ * The configured element is loaded back as an anchor when the editor data is set. The `ck-anchor` class is never
+ * rendered in the data: it is used in the editing view only. Anchored images and
+ * {@link module:anchor/anchor~AnchorConfig#blockElements block anchors} are not affected by this option.
+ *
+ * To get the data without any anchors, for instance, for an export, use the `anchors: 'strip'` option:
+ *
+ *		editor.getData( { anchors: 'strip' } );
+ *
+ * @member {module:anchor/anchor~AnchorOutputConfig} module:anchor/anchor~AnchorConfig#output
+ */
+
+/**
+ * The anchor data format. See {@link module:anchor/anchor~AnchorConfig#output `config.anchor.output`}.
+ *
+ * @typedef {Object} module:anchor/anchor~AnchorOutputConfig
+ * @property {'a'|'span'} [element='a'] The name of the anchor element.
+ * @property {Array.<'id'|'name'>} [idAttributes=[ 'id', 'name' ]] The attributes holding the anchor ID. The `name`
+ * attribute is valid for the `<a>` element only.
+ * @property {String|Array.<String>} [classes=[]] Classes added to the anchor element.
+ * @property {Object.<String,String>} [attributes={}] Additional attributes added to the anchor element.
+ */
+
+/**
+ * The rules for loading anchors from legacy content. Besides `<a id="...">` elements (and the element configured in
+ * {@link module:anchor/anchor~AnchorConfig#output `config.anchor.output`}), the editor loads:
+ *
+ * * `<a name="...">` elements,
+ * * anchors stored by CKEditor 4 as fake objects (`<img class="cke_anchor" data-cke-realelement="...">`),
+ * * the `id` attribute of the configured elements. Elements with some content (e.g. `<span id="...">`) become anchors
+ * wrapping this content, while elements converted by other features (e.g. `<figure id="...">` converted by the image feature)
+ * get the anchor ID if their model element allows it.
+ *
+ *		ClassicEditor
+ *			.create( editorElement, {
+ *				anchor: {
+ *					upcast: {
+ *						ckeditor4: false,
+ *						idElements: [ 'span', 'cite' ]
+ *					}
+ *				}
+ *			} )
+ *			.then( ... )
+ *			.catch( ... );
+ *
+ * @member {module:anchor/anchor~AnchorUpcastConfig} module:anchor/anchor~AnchorConfig#upcast
+ */
+
+/**
+ * The rules for loading legacy anchors. See {@link module:anchor/anchor~AnchorConfig#upcast `config.anchor.upcast`}.
+ *
+ * @typedef {Object} module:anchor/anchor~AnchorUpcastConfig
+ * @property {Boolean} [nameAttribute=true] Whether `<a name="...">` elements should be loaded as anchors. When an element has
+ * both the `id` and the `name` attribute, the `id` attribute is used.
+ * @property {Boolean} [ckeditor4=true] Whether CKEditor 4 fake anchor objects should be loaded as anchors.
+ * @property {Array.<String>} [idElements=[ 'span', 'img', 'figure' ]] The names of view elements whose `id` attribute
+ * should be loaded as an anchor. The ID is set on the model element they are converted to if it accepts anchors (like an image).
+ * Empty elements which are not converted by any feature are loaded as point anchors, except for void elements like `<img>`.
+ */
+
+/**
+ * The names of model block elements which accept block anchors. A block anchor is stored as the `anchorId` attribute
+ * of the block itself and renders as the block's `id` attribute, for example `<h2 id="install">Installation</h2>`.
+ *
+ *		ClassicEditor
+ *			.create( editorElement, {
+ *				anchor: {
+ *					blockElements: [ 'paragraph', 'heading1', 'heading2', 'heading3', 'listItem', 'blockQuote' ]
+ *				}
+ *			} )
+ *			.then( ... )
+ *			.catch( ... );
+ *
+ * When the selection is collapsed inside such a block (and not inside an anchored text), the `'anchor'` and `'unanchor'`
+ * commands as well as the anchor balloon target the block instead of inserting a point anchor.
+ *
+ * Elements which are not registered in the {@link module:engine/model/schema~Schema schema} are ignored.
+ *
+ * @default []
+ * @member {Array.<String>} module:anchor/anchor~AnchorConfig#blockElements
+ */
+
+/**
+ * The configuration of the {@link module:anchor/autoheadinganchors~AutoHeadingAnchors automatic heading anchors feature}.
+ * It is used only when the feature is loaded.
+ *
+ *		ClassicEditor
+ *			.create( editorElement, {
+ *				plugins: [ Heading, Anchor, AutoHeadingAnchors, ... ],
+ *				anchor: {
+ *					headingAnchors: {
+ *						elements: [ 'heading2', 'heading3' ]
+ *					}
+ *				}
+ *			} )
+ *			.then( ... )
+ *			.catch( ... );
+ *
+ * @member {module:anchor/anchor~AnchorHeadingAnchorsConfig} module:anchor/anchor~AnchorConfig#headingAnchors
+ */
+
+/**
+ * The configuration of the automatic heading anchors. See
+ * {@link module:anchor/anchor~AnchorConfig#headingAnchors `config.anchor.headingAnchors`}.
+ *
+ * @typedef {Object} module:anchor/anchor~AnchorHeadingAnchorsConfig
+ * @property {Array.<String>} [elements=[ 'heading1', 'heading2', 'heading3', 'heading4', 'heading5', 'heading6' ]] The names
+ * of the model heading elements which get anchors. They are added to the
+ * {@link module:anchor/anchor~AnchorConfig#blockElements block elements}.
+ */
+
+/**
+ * Controls how anchors sharing the same ID are resolved. Duplicates appear, for instance, when splitting an anchored paragraph
+ * with <kbd>Enter</kbd> or pasting a copied anchor. An anchored text split by soft breaks or block boundaries (e.g. anchored
+ * in a multi-paragraph selection) is a single anchor, not a duplicate. The anchor that existed before
+ * the change keeps its ID while the others are resolved with one of the strategies:
+ *
+ * * `'suffix'` &ndash; The first free numeric suffix is appended to the ID, for example `intro-2`, `intro-3`.
+ * * `'strip'` &ndash; The duplicated anchors are removed.
+ * * A callback &ndash; It takes the duplicated ID and a `Set` of all IDs used in the document and returns a new ID.
+ * When it returns an empty value or an ID which is already used, the duplicated anchor is removed.
+ *
+ *		ClassicEditor
+ *			.create( editorElement, {
+ *				anchor: {
+ *					duplicateIds: ( id, usedIds ) => `${ id }-copy`
+ *				}
+ *			} )
+ *			.then( ... )
+ *			.catch( ... );
+ *
+ * The duplicates are resolved in the same undo step as the change that caused them.
+ *
+ * @default 'suffix'
+ * @member {'suffix'|'strip'|Function} module:anchor/anchor~AnchorConfig#duplicateIds
+ */
+
+/**
+ * The way the anchor ID is generated from the selected text. When the anchor form is opened for a selected text
+ * which is not anchored yet, it is pre-filled with the generated ID, for instance, `getting-started-with-plugins`
+ * for "Getting Started with Plugins".
+ *
+ *		ClassicEditor
+ *			.create( editorElement, {
+ *				anchor: {
+ *					slugify: {
+ *						strategy: 'ascii',
+ *						maxLength: 32
+ *					}
+ *				}
+ *			} )
+ *			.then( ... )
+ *			.catch( ... );
+ *
+ * The strategy can also be a function receiving the text and returning the ID:
+ *
+ *		slugify: {
+ *			strategy: text => text.toLowerCase().replace( /\W+/g, '_' )
+ *		}
+ *
+ * The generated ID is normalized according to the {@link module:anchor/anchor~AnchorConfig#idPolicy ID policy}. If it is
+ * already used by another anchor or it is {@link module:anchor/anchor~AnchorConfig#reservedIds reserved}, a numeric suffix
+ * is added to it (e.g. `intro-2`). The same function is available outside of the editor as
+ * {@link module:anchor/utils~generateAnchorId `generateAnchorId()`}.
+ *
+ * @member {module:anchor/anchor~AnchorSlugifyConfig} module:anchor/anchor~AnchorConfig#slugify
+ */
+
+/**
+ * The configuration of the anchor ID generation. See {@link module:anchor/anchor~AnchorConfig#slugify `config.anchor.slugify`}.
+ *
+ * @typedef {Object} module:anchor/anchor~AnchorSlugifyConfig
+ * @property {'github'|'lowercase'|'ascii'|'unicode'|Function} [strategy='github'] The name of the built-in strategy
+ * (see {@link module:anchor/utils~slugify `slugify()`}) or a function generating the ID from the text.
+ * @property {Number} [maxLength=64] The maximum length of the generated ID.
+ */
+
+/**
+ * The keystrokes of the anchor feature. The keystrokes which are not specified keep their default values
+ * and a keystroke set to `null` is disabled.
+ *
+ *		ClassicEditor
+ *			.create( editorElement, {
+ *				anchor: {
+ *					keystrokes: {
+ *						anchor: 'Ctrl+Shift+A',
+ *						anchorList: null
+ *					}
+ *				}
+ *			} )
+ *			.then( ... )
+ *			.catch( ... );
+ *
+ * The keystrokes are written like in the {@link module:utils/keyboard~parseKeystroke `parseKeystroke()`} helper.
+ *
+ * @member {module:anchor/anchor~AnchorKeystrokesConfig} module:anchor/anchor~AnchorConfig#keystrokes
+ */
+
+/**
+ * The configuration of the anchor keystrokes. See {@link module:anchor/anchor~AnchorConfig#keystrokes `config.anchor.keystrokes`}.
+ *
+ * @typedef {Object} module:anchor/anchor~AnchorKeystrokesConfig
+ * @property {String|null} [anchor='Ctrl+M'] Opens the balloon creating or editing the anchor.
+ * @property {String|null} [unanchor='Ctrl+Shift+M'] Executes the `'unanchor'` command.
+ * @property {String|null} [nextAnchor='Ctrl+Alt+ArrowDown'] Moves the selection to the next anchor (the `'nextAnchor'` command).
+ * It wraps around to the first anchor in the document.
+ * @property {String|null} [previousAnchor='Ctrl+Alt+ArrowUp'] Moves the selection to the previous anchor
+ * (the `'previousAnchor'` command). It wraps around to the last anchor in the document.
+ * @property {String|null} [anchorList='Ctrl+Shift+L'] Opens the `'anchorList'` dropdown.
+ */
+
+/**
+ * The configuration of the {@link module:anchor/anchorhashsync~AnchorHashSync anchor hash sync feature}. It is used only
+ * when the feature is loaded.
+ *
+ *		ClassicEditor
+ *			.create( editorElement, {
+ *				plugins: [ Anchor, AnchorHashSync, ... ],
+ *				anchor: {
+ *					hashSync: {
+ *						updateHash: true
+ *					}
+ *				}
+ *			} )
+ *			.then( ... )
+ *			.catch( ... );
+ *
+ * @member {module:anchor/anchor~AnchorHashSyncConfig} module:anchor/anchor~AnchorConfig#hashSync
+ */
+
+/**
+ * The configuration of the URL hash synchronization. See {@link module:anchor/anchor~AnchorConfig#hashSync `config.anchor.hashSync`}.
+ *
+ * @typedef {Object} module:anchor/anchor~AnchorHashSyncConfig
+ * @property {Boolean} [updateHash=false] Whether the hash is updated as the caret enters a different anchored section.
+ * @property {Function|module:anchor/anchor~AnchorLocationAdapter|null} [location=null] The function returning the adapter used
+ * instead of the location of the current page, for instance, in tests or when the application manages the URL itself.
+ * See {@link module:anchor/anchor~AnchorLocationAdapter} to learn why a function is preferred over the adapter itself.
+ */
+
+/**
+ * The configuration of the {@link module:anchor/anchormarkdown~AnchorMarkdown anchor Markdown integration}. It is used only
+ * when the integration is loaded.
+ *
+ *		ClassicEditor
+ *			.create( editorElement, {
+ *				plugins: [ Markdown, Anchor, AnchorMarkdown, ... ],
+ *				anchor: {
+ *					markdown: {
+ *						headingAnchorSyntax: 'attribute'
+ *					}
+ *				}
+ *			} )
+ *			.then( ... )
+ *			.catch( ... );
+ *
+ * @member {module:anchor/anchor~AnchorMarkdownConfig} module:anchor/anchor~AnchorConfig#markdown
+ */
+
+/**
+ * The configuration of the anchors in Markdown. See {@link module:anchor/anchor~AnchorConfig#markdown `config.anchor.markdown`}.
+ *
+ * @typedef {Object} module:anchor/anchor~AnchorMarkdownConfig
+ * @property {'html'|'attribute'} [headingAnchorSyntax='html'] The syntax of the heading anchors: the inline HTML at the beginning
+ * of the heading (`## <a id="install"></a>Installation`) or the heading attribute (`## Installation {#install}`) supported
+ * by some Markdown processors. Other anchors are always written as inline HTML. Both syntaxes are loaded.
+ */
+
+/**
+ * The configuration of the {@link module:anchor/autoanchor~AutoAnchor autoanchor feature} turning the typed or pasted
+ * `word{#id}` and `[some text]{#id}` syntax into anchors.
+ *
+ *		ClassicEditor
+ *			.create( editorElement, {
+ *				anchor: {
+ *					autoAnchor: {
+ *						disabledElements: [ 'codeBlock', 'blockQuote' ]
+ *					}
+ *				}
+ *			} )
+ *			.then( ... )
+ *			.catch( ... );
+ *
+ * More patterns can be registered with {@link module:anchor/autoanchor~AutoAnchor#registerPattern}.
+ *
+ * @member {module:anchor/anchor~AnchorAutoAnchorConfig} module:anchor/anchor~AnchorConfig#autoAnchor
+ */
+
+/**
+ * The configuration of the autoanchor feature. See {@link module:anchor/anchor~AnchorConfig#autoAnchor `config.anchor.autoAnchor`}.
+ *
+ * @typedef {Object} module:anchor/anchor~AnchorAutoAnchorConfig
+ * @property {Array.<String>} [disabledElements=[ 'codeBlock' ]] The names of the model elements in which the text is not turned
+ * into anchors.
+ */
+
+/**
+ * The adapter reading and writing the URL hash used by the {@link module:anchor/anchorhashsync~AnchorHashSync anchor hash sync feature}.
+ *
+ * The adapter is configured in {@link module:anchor/anchor~AnchorHashSyncConfig#location `config.anchor.hashSync.location`}
+ * as a function returning it. The editor configuration is copied when it is read, but the functions are not, so the feature
+ * uses the very same adapter object as the application:
+ *
+ *		const location = new AppLocation( router );
+ *
+ *		ClassicEditor
+ *			.create( editorElement, {
+ *				plugins: [ Anchor, AnchorHashSync, ... ],
+ *				anchor: {
+ *					hashSync: {
+ *						location: () => location
+ *					}
+ *				}
+ *			} )
+ *			.then( ... )
+ *			.catch( ... );
+ *
+ * The adapter object can also be set directly, but then the feature receives its copy. The state of the copy is not shared
+ * with the original object, so such an adapter must keep its state outside of itself.
+ *
+ * @interface AnchorLocationAdapter
+ */
+
+/**
+ * Returns the current hash including the leading `#`, like `window.location.hash`, or an empty string.
+ *
+ * @method module:anchor/anchor~AnchorLocationAdapter#getHash
+ * @returns {String}
+ */
+
+/**
+ * Sets the hash. An empty string removes the hash from the URL.
+ *
+ * @method module:anchor/anchor~AnchorLocationAdapter#setHash
+ * @param {String} hash The new hash including the leading `#`, or an empty string.
+ */
+
+/**
+ * The policy applied to anchor IDs. It is used consistently by the `'anchor'` command, when loading the editor data
+ * and by the {@link module:anchor/autoanchor~AutoAnchor} feature.
+ *
+ *		ClassicEditor
+ *			.create( editorElement, {
+ *				anchor: {
+ *					idPolicy: {
+ *						lowerCase: true,
+ *						maxLength: 64,
+ *						pattern: /^[a-z][a-z0-9-]*$/
+ *					}
+ *				}
+ *			} )
+ *			.then( ... )
+ *			.catch( ... );
+ *
+ * The options which are not specified are taken from the default policy. The same rules can be applied outside of the editor
+ * using the {@link module:anchor/utils~normalizeAnchorId `normalizeAnchorId()`} utility.
+ *
+ * The IDs loaded with the editor data are not normalized, so the existing links to them keep working. An ID which does not
+ * follow the policy is loaded too, so no anchor is lost, and it is reported as invalid by the
+ * {@link module:anchor/anchorspanel~AnchorsPanel anchors panel}.
+ *
+ * @member {module:anchor/anchor~AnchorIdPolicy} module:anchor/anchor~AnchorConfig#idPolicy
+ */
+
+/**
+ * The anchor ID policy. See {@link module:anchor/anchor~AnchorConfig#idPolicy `config.anchor.idPolicy`}.
+ *
+ * @typedef {Object} module:anchor/anchor~AnchorIdPolicy
+ * @property {'normalize'|'reject'} [mode='normalize'] In the `'normalize'` mode, the ID is fixed according to the other options.
+ * In the `'reject'` mode, an ID which would be changed by the normalization is rejected.
+ * @property {RegExp|null} [pattern=/^\S+$/] The pattern the normalized ID must match.
+ * @property {Number} [maxLength=128] The maximum length of the ID. Longer IDs are truncated.
+ * @property {Boolean} [lowerCase=false] Whether the ID should be converted to lower case.
+ * @property {String|null} [whitespace='-'] The replacement of whitespace sequences. When `null`, whitespaces are left as is.
+ * @property {Boolean} [stripInvalid=true] Whether the characters matching `invalidCharacters` should be removed.
+ * @property {RegExp} [invalidCharacters] Characters that are not allowed in the ID. By default, everything except
+ * letters, digits, `_`, `.`, `:` and `-`.
  */
 
 /**
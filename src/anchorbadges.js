@@ -0,0 +1,181 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module anchor/anchorbadges
+ */
+
+import Plugin from '@ckeditor/ckeditor5-core/src/plugin';
+import ButtonView from '@ckeditor/ckeditor5-ui/src/button/buttonview';
+import AnchorRegistry from './anchorregistry';
+import ShowAnchorsCommand from './showanchorscommand';
+
+import anchorIcon from '../theme/icons/anchor.svg';
+import '../theme/anchorbadges.css';
+
+const MARKER_GROUP = 'anchorBadge';
+
+/**
+ * The anchor badges feature.
+ *
+ * It renders a badge with the anchor icon and the anchor ID at the beginning of each anchor in the editing view, so the authors
+ * can see where the anchors are and what they are called. The badges are never rendered in the editor data.
+ *
+ * The badges are rendered using collapsed {@link module:engine/model/markercollection~Marker markers} which are
+ * kept in sync with the {@link module:anchor/anchorregistry~AnchorRegistry anchor registry}. Anchored images
+ * are not badged because they already display the anchor icon.
+ *
+ * The feature introduces the `'showAnchors'` command and button switching the badges on and off.
+ *
+ * @extends module:core/plugin~Plugin
+ */
+export default class AnchorBadges extends Plugin {
+	/**
+	 * @inheritDoc
+	 */
+	static get pluginName() {
+		return 'AnchorBadges';
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	static get requires() {
+		return [ AnchorRegistry ];
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	init() {
+		const editor = this.editor;
+		const registry = editor.plugins.get( AnchorRegistry );
+		const command = new ShowAnchorsCommand( editor );
+
+		editor.commands.add( 'showAnchors', command );
+
+		/**
+		 * The IDs of the anchors whose badges should be updated after the current change.
+		 *
+		 * @private
+		 * @member {Set.<String>}
+		 */
+		this._changedIds = new Set();
+
+		for ( const eventName of [ 'add', 'change', 'remove' ] ) {
+			this.listenTo( registry, eventName, ( evt, anchor ) => this._changedIds.add( anchor.id ) );
+		}
+
+		// The registry is updated on the same event, so listen after it.
+		this.listenTo( editor.model.document, 'change:data', () => {
+			this._updateBadges( this._changedIds );
+			this._changedIds = new Set();
+		}, { priority: 'low' } );
+
+		this.listenTo( command, 'change:value', () => {
+			const markerIds = Array.from( editor.model.markers.getMarkersGroup( MARKER_GROUP ) )
+				.map( marker => marker.name.slice( MARKER_GROUP.length + 1 ) );
+
+			this._updateBadges( new Set( [ ...registry.anchors.map( anchor => anchor.id ), ...markerIds ] ) );
+		} );
+
+		editor.conversion.for( 'editingDowncast' ).markerToElement( {
+			model: MARKER_GROUP,
+			view: ( { markerName }, { writer } ) => createBadgeElement( markerName.slice( MARKER_GROUP.length + 1 ), writer )
+		} );
+
+		editor.ui.componentFactory.add( 'showAnchors', locale => {
+			const button = new ButtonView( locale );
+
+			button.set( {
+				label: editor.t( 'Show anchors' ),
+				withText: true,
+				tooltip: true,
+				isToggleable: true
+			} );
+
+			button.bind( 'isOn', 'isEnabled' ).to( command, 'value', 'isEnabled' );
+
+			this.listenTo( button, 'execute', () => editor.execute( 'showAnchors' ) );
+
+			return button;
+		} );
+	}
+
+	/**
+	 * Adds, moves or removes the badge markers of the anchors with the given IDs.
+	 *
+	 * The markers do not affect the data and are not saved in the undo stack, so they are updated in a separate change.
+	 *
+	 * @private
+	 * @param {Set.<String>} ids
+	 */
+	_updateBadges( ids ) {
+		if ( !ids.size ) {
+			return;
+		}
+
+		const editor = this.editor;
+		const model = editor.model;
+		const registry = editor.plugins.get( AnchorRegistry );
+		const isShown = editor.commands.get( 'showAnchors' ).value;
+
+		model.enqueueChange( 'transparent', writer => {
+			for ( const id of ids ) {
+				const markerName = `${ MARKER_GROUP }:${ id }`;
+				const anchor = isShown ? registry.get( id ) : null;
+				const position = anchor ? getBadgePosition( model, anchor ) : null;
+
+				if ( !position ) {
+					if ( model.markers.has( markerName ) ) {
+						writer.removeMarker( markerName );
+					}
+				} else if ( !model.markers.has( markerName ) ) {
+					writer.addMarker( markerName, { range: model.createRange( position ), usingOperation: false, affectsData: false } );
+				} else if ( !model.markers.get( markerName ).getStart().isEqual( position ) ) {
+					writer.updateMarker( markerName, { range: model.createRange( position ) } );
+				}
+			}
+		} );
+	}
+}
+
+// Returns the model position of the anchor badge: at the beginning of the anchored text or block, or before the point anchor.
+// Returns `null` for the anchored objects which are not inline (anchored images).
+//
+// @param {module:engine/model/model~Model} model
+// @param {module:anchor/anchorregistry~AnchorRegistryItem} anchor
+// @returns {module:engine/model/position~Position|null}
+function getBadgePosition( model, { range, element } ) {
+	if ( !element || model.schema.isInline( element ) ) {
+		return range.start;
+	}
+
+	if ( model.schema.isObject( element ) ) {
+		return null;
+	}
+
+	return model.createPositionAt( element, 0 );
+}
+
+// Creates the badge UI element displaying the anchor icon and the anchor ID.
+//
+// @param {String} id
+// @param {module:engine/view/downcastwriter~DowncastWriter} writer
+// @returns {module:engine/view/uielement~UIElement}
+function createBadgeElement( id, writer ) {
+	return writer.createUIElement( 'span', { class: 'ck ck-anchor-badge', title: id }, function( domDocument ) {
+		const domElement = this.toDomElement( domDocument );
+		const domLabel = domDocument.createElement( 'span' );
+
+		domLabel.className = 'ck-anchor-badge__label';
+		domLabel.textContent = id;
+
+		domElement.innerHTML = anchorIcon;
+		domElement.appendChild( domLabel );
+
+		return domElement;
+	} );
+}
@@ -9,11 +9,17 @@
 
 import Command from '@ckeditor/ckeditor5-core/src/command';
 import findAttributeRange from '@ckeditor/ckeditor5-typing/src/utils/findattributerange';
-import toMap from '@ckeditor/ckeditor5-utils/src/tomap';
 import Collection from '@ckeditor/ckeditor5-utils/src/collection';
 import first from '@ckeditor/ckeditor5-utils/src/first';
 import AutomaticDecorators from './utils/automaticdecorators';
-import { isImageAllowed } from './utils';
+import {
+	findBlockAnchorElement,
+	getValidAnchorRanges,
+	isImageAllowed,
+	isPointAnchor,
+	isReservedAnchorId,
+	normalizeAnchorId
+} from './utils';
 
 /**
  * The anchor command. It is used by the {@link module:anchor/anchor~Anchor anchor feature}.
@@ -70,12 +76,20 @@ export default class AnchorCommand extends Command {
 		const doc = model.document;
 
 		const selectedElement = first( doc.selection.getSelectedBlocks() );
+		const selectedPointAnchor = doc.selection.getSelectedElement();
+		const blockAnchorElement = this._getBlockAnchorElement();
 
 		// A check for the `AnchorImage` plugin. If the selection contains an element, get values from the element.
 		// Currently the selection reads attributes from text nodes only. See #7429 and #7465.
 		if ( isImageAllowed( selectedElement, model.schema ) ) {
 			this.value = selectedElement.getAttribute( 'anchorId' );
 			this.isEnabled = model.schema.checkAttribute( selectedElement, 'anchorId' );
+		} else if ( isPointAnchor( selectedPointAnchor ) ) {
+			this.value = selectedPointAnchor.getAttribute( 'anchorId' );
+			this.isEnabled = true;
+		} else if ( blockAnchorElement ) {
+			this.value = blockAnchorElement.getAttribute( 'anchorId' );
+			this.isEnabled = true;
 		} else {
 			this.value = doc.selection.getAttribute( 'anchorId' );
 			this.isEnabled = model.schema.checkAttributeInSelection( doc.selection, 'anchorId' );
@@ -93,12 +107,17 @@ export default class AnchorCommand extends Command {
 	 * those nodes where the `anchorId` attribute is allowed (disallowed nodes will be omitted).
 	 *
 	 * When the selection is collapsed and is not inside the text with the `anchorId` attribute, a
-	 * new {@link module:engine/model/text~Text text node} with the `anchorId` attribute will be inserted in place of the caret, but
-	 * only if such element is allowed in this place. The `_data` of the inserted text will equal the `id` parameter.
-	 * The selection will be updated to wrap the just inserted text node.
+	 * new point anchor (the `<anchor>` model element with the `anchorId` attribute) will be inserted in place of the caret, but
+	 * only if such element is allowed in this place. The selection will be placed right after the inserted point anchor.
 	 *
 	 * When the selection is collapsed and inside the text with the `anchorId` attribute, the attribute value will be updated.
 	 *
+	 * When the selection contains a point anchor only, its `anchorId` attribute will be updated.
+	 *
+	 * When the selection is collapsed, is not inside the text with the `anchorId` attribute and is inside a block accepting
+	 * block anchors (see {@link module:anchor/anchor~AnchorConfig#blockElements}), the `anchorId` attribute will be set
+	 * on that block instead of inserting a point anchor.
+	 *
 	 * # Decorators and model attribute management
 	 *
 	 * There is an optional argument to this command that applies or removes model
@@ -139,6 +158,12 @@ export default class AnchorCommand extends Command {
 	 *
 	 * **Note**: If the decorator attribute name is not specified, its state remains untouched.
 	 *
+	 * # ID policy
+	 *
+	 * The `id` is normalized according to the {@link module:anchor/anchor~AnchorConfig#idPolicy `config.anchor.idPolicy`}
+	 * before it is applied. If the `id` is rejected by the policy or it is one of the
+	 * {@link module:anchor/anchor~AnchorConfig#reservedIds `config.anchor.reservedIds`}, the command does nothing.
+	 *
 	 * **Note**: {@link module:anchor/unanchorcommand~UnanchorCommand#execute `UnanchorCommand#execute()`} removes all
 	 * decorator attributes.
 	 *
@@ -149,6 +174,13 @@ export default class AnchorCommand extends Command {
 	execute( id, manualDecoratorIds = {} ) {
 		const model = this.editor.model;
 		const selection = model.document.selection;
+
+		id = normalizeAnchorId( id, this.editor.config.get( 'anchor.idPolicy' ) );
+
+		if ( id === null || isReservedAnchorId( id, this.editor.config.get( 'anchor.reservedIds' ) ) ) {
+			return;
+		}
+
 		// Stores information about manual decorators to turn them on/off when command is applied.
 		const truthyManualDecorators = [];
 		const falsyManualDecorators = [];
@@ -165,6 +197,7 @@ export default class AnchorCommand extends Command {
 			// If selection is collapsed then update selected anchor or insert new one at the place of caret.
 			if ( selection.isCollapsed ) {
 				const position = selection.getFirstPosition();
+				const blockAnchorElement = this._getBlockAnchorElement();
 
 				// When selection is inside text with `anchorId` attribute.
 				if ( selection.hasAttribute( 'anchorId' ) ) {
@@ -184,23 +217,20 @@ export default class AnchorCommand extends Command {
 					// Put the selection at the end of the updated anchor.
 					writer.setSelection( writer.createPositionAfter( anchorRange.end.nodeBefore ) );
 				}
-				// If not then insert text node with `anchorId` attribute in place of caret.
-				// However, since selection in collapsed, attribute value will be used as data for text node.
-				// So, if `id` is empty, do not create text node.
-				else if ( id !== '' ) {
-					const attributes = toMap( selection.getAttributes() );
-
-					attributes.set( 'anchorId', id );
-
-					truthyManualDecorators.forEach( item => {
-						attributes.set( item, true );
-					} );
+				// When the caret is in a block accepting block anchors, anchor the block itself.
+				else if ( blockAnchorElement ) {
+					writer.setAttribute( 'anchorId', id, blockAnchorElement );
+				}
+				// If not then insert a point anchor in place of caret.
+				else {
+					const pointAnchor = writer.createElement( 'anchor', { anchorId: id } );
 
-					const { end: positionAfter } = model.insertContent( writer.createText( id, attributes ), position );
+					model.insertContent( pointAnchor, position );
 
-					// Put the selection at the end of the inserted anchor.
-					// Using end of range returned from insertContent in case nodes with the same attributes got merged.
-					writer.setSelection( positionAfter );
+					// Put the selection right after the inserted point anchor (if it was inserted at all).
+					if ( pointAnchor.parent ) {
+						writer.setSelection( pointAnchor, 'after' );
+					}
 				}
 
 				// Remove the `anchorId` attribute and all anchor decorators from the selection.
@@ -210,14 +240,14 @@ export default class AnchorCommand extends Command {
 				} );
 			} else {
 				// If selection has non-collapsed ranges, we change attribute on nodes inside those ranges
-				// omitting nodes where the `anchorId` attribute is disallowed.
-				const ranges = model.schema.getValidRanges( selection.getRanges(), 'anchorId' );
+				// omitting nodes where the `anchorId` attribute is disallowed (including the blocks accepting block anchors).
+				const ranges = getValidAnchorRanges( selection.getRanges(), model );
 
-				// But for the first, check whether the `anchorId` attribute is allowed on selected blocks (e.g. the "image" element).
+				// But for the first, check whether the `anchorId` attribute is allowed on selected objects (e.g. the "image" element).
 				const allowedRanges = [];
 
 				for ( const element of selection.getSelectedBlocks() ) {
-					if ( model.schema.checkAttribute( element, 'anchorId' ) ) {
+					if ( model.schema.isObject( element ) && model.schema.checkAttribute( element, 'anchorId' ) ) {
 						allowedRanges.push( writer.createRangeOn( element ) );
 					}
 				}
@@ -270,6 +300,24 @@ export default class AnchorCommand extends Command {
 		return doc.selection.getAttribute( decoratorName );
 	}
 
+	/**
+	 * Returns the block that should be anchored when the selection is collapsed and it is not inside the text with
+	 * the `anchorId` attribute. Returns `null` if there is no such block.
+	 *
+	 * @private
+	 * @returns {module:engine/model/element~Element|null}
+	 */
+	_getBlockAnchorElement() {
+		const model = this.editor.model;
+		const selection = model.document.selection;
+
+		if ( !selection.isCollapsed || selection.hasAttribute( 'anchorId' ) ) {
+			return null;
+		}
+
+		return findBlockAnchorElement( selection.getFirstPosition(), model.schema );
+	}
+
 	/**
 	 * Checks whether specified `range` is inside an element that accepts the `anchorId` attribute.
 	 *
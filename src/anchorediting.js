@@ -9,16 +9,40 @@
 
 import Plugin from '@ckeditor/ckeditor5-core/src/plugin';
 import MouseObserver from '@ckeditor/ckeditor5-engine/src/view/observer/mouseobserver';
+import HtmlDataProcessor from '@ckeditor/ckeditor5-engine/src/dataprocessor/htmldataprocessor';
 import TwoStepCaretMovement from '@ckeditor/ckeditor5-typing/src/twostepcaretmovement';
 import inlineHighlight from '@ckeditor/ckeditor5-typing/src/utils/inlinehighlight';
 import Input from '@ckeditor/ckeditor5-typing/src/input';
 import Clipboard from '@ckeditor/ckeditor5-clipboard/src/clipboard';
+import Widget from '@ckeditor/ckeditor5-widget/src/widget';
 import AnchorCommand from './anchorcommand';
 import UnanchorCommand from './unanchorcommand';
+import RenameAnchorCommand from './renameanchorcommand';
+import GoToAnchorCommand, { HIGHLIGHT_MARKER_NAME } from './gotoanchorcommand';
+import GoToAdjacentAnchorCommand from './gotoadjacentanchorcommand';
+import CopyAnchorLinkCommand from './copyanchorlinkcommand';
 import ManualDecorator from './utils/manualdecorator';
 import findAttributeRange from '@ckeditor/ckeditor5-typing/src/utils/findattributerange';
 import { keyCodes } from '@ckeditor/ckeditor5-utils/src/keyboard';
-import { createAnchorElement, ensureSafeUrl, getLocalizedDecorators, normalizeDecorators } from './utils';
+import global from '@ckeditor/ckeditor5-utils/src/dom/global';
+import {
+	createAnchorElement,
+	createDataAnchorElement,
+	createHiddenPointAnchorElement,
+	createPointAnchorElement,
+	createPointAnchorWidget,
+	findAnchors,
+	findAnchorsInRange,
+	getAnchoredTextRanges,
+	getLocalizedDecorators,
+	getUniqueAnchorId,
+	isBlockAnchorAllowed,
+	isPointAnchor,
+	LINK_KEYSTROKE,
+	normalizeDecorators,
+	sanitizeAnchorId,
+	shouldStripAnchors
+} from './utils';
 
 import '../theme/anchor.css';
 
@@ -27,11 +51,26 @@ const DECORATOR_AUTOMATIC = 'automatic';
 const DECORATOR_MANUAL = 'manual';
 const EXTERNAL_LINKS_REGEXP = /^(https?:)?\/\//;
 
+// The HTML elements which cannot have any content. They are content themselves, so they are never loaded as point anchors.
+const VOID_ELEMENTS = [ 'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr' ];
+
 /**
  * The anchor engine feature.
  *
  * It introduces the `anchorId="url"` attribute in the model which renders to the view as a `<a id="url">` element
- * as well as `'anchor'` and `'unanchor'` commands.
+ * as well as `'anchor'`, `'unanchor'`, `'renameAnchor'`, `'goToAnchor'`, `'nextAnchor'`,
+ * `'previousAnchor'` and `'copyAnchorLink'` commands.
+ *
+ * It also introduces the inline `<anchor anchorId="url">` model element (a point anchor) which marks a position
+ * in the content without wrapping any text. It renders to the data as an empty `<a id="url"></a>` element.
+ *
+ * The feature works together with the {@link module:link/link~Link link feature}: `<a href="..." id="...">` is loaded
+ * as text with both the `linkHref` and `anchorId` attributes and it is rendered back as a single `<a>` element when both
+ * attributes cover the same text. When they do not, the `<a>` element is split where the link starts or ends, but it is
+ * never nested. Browsers navigate to the first of the split elements.
+ *
+ * When the anchor is also a link, clicking it opens the link balloon. The anchor balloon opens from the toolbar button
+ * or with the keystroke.
  *
  * @extends module:core/plugin~Plugin
  */
@@ -48,7 +87,8 @@ export default class AnchorEditing extends Plugin {
 	 */
 	static get requires() {
 		// Clipboard is required for handling cut and paste events while typing over the anchor.
-		return [ TwoStepCaretMovement, Input, Clipboard ];
+		// Widget is required for selecting and rendering point anchors in the editing view.
+		return [ TwoStepCaretMovement, Input, Clipboard, Widget ];
 	}
 
 	/**
@@ -58,7 +98,47 @@ export default class AnchorEditing extends Plugin {
 		super( editor );
 
 		editor.config.define( 'anchor', {
-			addTargetToExternalAnchors: false
+			addTargetToExternalAnchors: false,
+			autoAnchor: {
+				disabledElements: [ 'codeBlock' ]
+			},
+			baseUrl: null,
+			blockElements: [],
+			duplicateIds: 'suffix',
+			headingAnchors: {
+				elements: [ 'heading1', 'heading2', 'heading3', 'heading4', 'heading5', 'heading6' ]
+			},
+			hashSync: {
+				updateHash: false,
+				location: null
+			},
+			idPrefix: '',
+			markdown: {
+				headingAnchorSyntax: 'html'
+			},
+			reservedIds: [],
+			keystrokes: {
+				anchor: LINK_KEYSTROKE,
+				unanchor: 'Ctrl+Shift+M',
+				nextAnchor: 'Ctrl+Alt+ArrowDown',
+				previousAnchor: 'Ctrl+Alt+ArrowUp',
+				anchorList: 'Ctrl+Shift+L'
+			},
+			slugify: {
+				strategy: 'github',
+				maxLength: 64
+			},
+			output: {
+				element: 'a',
+				idAttributes: [ 'id', 'name' ],
+				classes: [],
+				attributes: {}
+			},
+			upcast: {
+				nameAttribute: true,
+				ckeditor4: true,
+				idElements: [ 'span', 'img', 'figure' ]
+			}
 		} );
 	}
 
@@ -67,35 +147,218 @@ export default class AnchorEditing extends Plugin {
 	 */
 	init() {
 		const editor = this.editor;
+		const output = editor.config.get( 'anchor.output' );
+		const upcastConfig = editor.config.get( 'anchor.upcast' );
+
+		/**
+		 * The {@link module:anchor/anchor~AnchorConfig#sanitizeId `config.anchor.sanitizeId`} callback.
+		 *
+		 * **Note**: The whole config object is read as `config.get()` does not preserve a callback set as a top-level config value.
+		 *
+		 * @private
+		 * @member {Function|undefined}
+		 */
+		this._sanitizeIdCallback = editor.config.get( 'anchor' ).sanitizeId;
+
+		/**
+		 * The {@link module:anchor/anchor~AnchorConfig#baseUrl `config.anchor.baseUrl`} value. It is read like
+		 * the {@link #_sanitizeIdCallback} as it can be a callback too.
+		 *
+		 * @private
+		 * @member {String|Function|null}
+		 */
+		this._baseUrl = editor.config.get( 'anchor' ).baseUrl;
 
 		// Allow anchor attribute on all inline nodes.
 		editor.model.schema.extend( '$text', { allowAttributes: 'anchorId' } );
 
+		// Point anchors mark a position in the content, so they are allowed wherever text is.
+		editor.model.schema.register( 'anchor', {
+			allowWhere: '$text',
+			allowAttributes: [ 'anchorId' ],
+			isInline: true,
+			isObject: true
+		} );
+
+		// Both the data and the editing view run anchor IDs through the same sanitizer, so they always render the same ID.
+		// The data view additionally gets the configured ID prefix which authors never see in the editing view.
+		// The `ck-anchor` class is editing-only, the data anchor element is configured in `config.anchor.output`.
 		editor.conversion.for( 'dataDowncast' )
-			.attributeToElement( { model: 'anchorId', view: createAnchorElement } );
+			.attributeToElement( { model: { key: 'anchorId', name: '$text' }, view: ( id, conversionApi ) => {
+				const dataId = this.getDataId( id );
+
+				if ( !dataId || shouldStripAnchors( conversionApi ) ) {
+					return null;
+				}
+
+				return createDataAnchorElement( dataId, output, conversionApi );
+			} } );
 
 		editor.conversion.for( 'editingDowncast' )
-			.attributeToElement( { model: 'anchorId', view: ( id, conversionApi ) => {
-				return createAnchorElement( ensureSafeUrl( id ), conversionApi );
+			.attributeToElement( { model: { key: 'anchorId', name: '$text' }, view: ( id, conversionApi ) => {
+				return createAnchorElement( this.sanitizeId( id ), conversionApi );
 			} } );
 
-		editor.conversion.for( 'upcast' )
-			.elementToAttribute( {
+		editor.conversion.for( 'dataDowncast' ).elementToElement( {
+			model: 'anchor',
+			view: ( modelElement, conversionApi ) => {
+				const dataId = this.getDataId( modelElement.getAttribute( 'anchorId' ) );
+
+				if ( !dataId || shouldStripAnchors( conversionApi ) ) {
+					return createHiddenPointAnchorElement( conversionApi );
+				}
+
+				return createPointAnchorElement( dataId, output, conversionApi );
+			}
+		} );
+
+		editor.conversion.for( 'editingDowncast' ).elementToElement( {
+			model: 'anchor',
+			view: ( modelElement, conversionApi ) => {
+				return createPointAnchorWidget( this.sanitizeId( modelElement.getAttribute( 'anchorId' ) ), conversionApi );
+			},
+			triggerBy: {
+				attributes: [ 'anchorId' ]
+			}
+		} );
+
+		for ( const { name, idAttribute, converterPriority } of getUpcastAnchorElements( output, upcastConfig ) ) {
+			// The `id` attribute wins when an element has both the `id` and the legacy `name` attribute.
+			const getId = viewElement => {
+				if ( idAttribute != 'id' && viewElement.hasAttribute( 'id' ) ) {
+					return null;
+				}
+
+				return this.getModelId( viewElement.getAttribute( idAttribute ) );
+			};
+
+			// An empty `<a id="...">` element cannot carry a text attribute, so it is converted to a point anchor.
+			// Anchors wrapping some content are handled by the attribute converter below.
+			editor.conversion.for( 'upcast' ).elementToElement( {
 				view: {
-					name: 'a',
+					name,
 					attributes: {
-						id: true
+						[ idAttribute ]: true
+					}
+				},
+				model: ( viewElement, { writer } ) => {
+					const id = getId( viewElement );
+
+					if ( !viewElement.isEmpty || id === null ) {
+						return null;
 					}
+
+					return writer.createElement( 'anchor', { anchorId: id } );
+				},
+				converterPriority
+			} );
+
+			editor.conversion.for( 'upcast' )
+				.elementToAttribute( {
+					view: {
+						name,
+						attributes: {
+							[ idAttribute ]: true
+						}
+					},
+					model: {
+						key: 'anchorId',
+						value: getId
+					},
+					converterPriority
+				} );
+		}
+
+		// Other elements with the `id` attribute (e.g. `<span id="...">`) are loaded as anchors too. Elements converted by other features
+		// (e.g. `<img id="...">`) are handled by the attribute converter which sets the ID on the resulting model element if it allows it.
+		// The low priority makes sure these features convert their elements first. An empty element which is left is a point anchor,
+		// unless it is a void element, like an `<img>` loaded without the image feature.
+		for ( const name of upcastConfig.idElements ) {
+			if ( !VOID_ELEMENTS.includes( name ) ) {
+				editor.conversion.for( 'upcast' ).elementToElement( {
+					view: {
+						name,
+						attributes: {
+							id: true
+						}
+					},
+					model: ( viewElement, { writer } ) => {
+						const id = this.getModelId( viewElement.getAttribute( 'id' ) );
+
+						if ( !viewElement.isEmpty || id === null ) {
+							return null;
+						}
+
+						return writer.createElement( 'anchor', { anchorId: id } );
+					},
+					converterPriority: 'low'
+				} );
+			}
+
+			editor.conversion.for( 'upcast' ).attributeToAttribute( {
+				view: {
+					name,
+					key: 'id'
 				},
 				model: {
 					key: 'anchorId',
-					value: viewElement => viewElement.getAttribute( 'id' )
+					value: viewElement => this.getModelId( viewElement.getAttribute( 'id' ) )
+				},
+				converterPriority: 'low'
+			} );
+		}
+
+		if ( upcastConfig.ckeditor4 ) {
+			// The real element is always HTML, regardless of the data processor used by the editor.
+			const htmlDataProcessor = new HtmlDataProcessor( editor.data.viewDocument );
+
+			editor.conversion.for( 'upcast' ).add( upcastCKEditor4Anchor( htmlDataProcessor, id => this.getModelId( id ) ) );
+		}
+
+		// Block anchors are rendered as the `id` attribute of the block itself.
+		for ( const elementName of editor.config.get( 'anchor.blockElements' ) ) {
+			editor.conversion.for( 'dataDowncast' ).attributeToAttribute( {
+				model: { name: elementName, key: 'anchorId' },
+				view: ( id, conversionApi ) => {
+					const dataId = this.getDataId( id );
+
+					return !dataId || shouldStripAnchors( conversionApi ) ? null : { key: 'id', value: dataId };
 				}
 			} );
 
+			editor.conversion.for( 'editingDowncast' ).attributeToAttribute( {
+				model: { name: elementName, key: 'anchorId' },
+				view: id => ( { key: 'id', value: this.sanitizeId( id ) } )
+			} );
+		}
+
+		editor.conversion.for( 'upcast' ).add( upcastBlockAnchor( id => this.getModelId( id ) ) );
+
 		// Create anchoring commands.
 		editor.commands.add( 'anchor', new AnchorCommand( editor ) );
 		editor.commands.add( 'unanchor', new UnanchorCommand( editor ) );
+		editor.commands.add( 'renameAnchor', new RenameAnchorCommand( editor ) );
+		editor.commands.add( 'goToAnchor', new GoToAnchorCommand( editor ) );
+		editor.commands.add( 'nextAnchor', new GoToAdjacentAnchorCommand( editor, 'forward' ) );
+		editor.commands.add( 'previousAnchor', new GoToAdjacentAnchorCommand( editor, 'backward' ) );
+		editor.commands.add( 'copyAnchorLink', new CopyAnchorLinkCommand( editor ) );
+
+		// The keystrokes opening the UI are handled by the anchor UI feature.
+		const keystrokes = editor.config.get( 'anchor.keystrokes' );
+
+		for ( const commandName of [ 'unanchor', 'nextAnchor', 'previousAnchor' ] ) {
+			if ( keystrokes[ commandName ] ) {
+				editor.keystrokes.set( keystrokes[ commandName ], commandName );
+			}
+		}
+
+		// Briefly highlights the anchor the editor went to.
+		editor.conversion.for( 'editingDowncast' ).markerToHighlight( {
+			model: HIGHLIGHT_MARKER_NAME,
+			view: {
+				classes: [ 'ck-anchor_highlighted' ]
+			}
+		} );
 
 		const anchorDecorators = getLocalizedDecorators( editor.t, normalizeDecorators( editor.config.get( 'anchor.decorators' ) ) );
 
@@ -109,6 +372,9 @@ export default class AnchorEditing extends Plugin {
 		// Setup highlight over selected anchor.
 		inlineHighlight( editor, 'anchorId', 'a', HIGHLIGHT_CLASS );
 
+		// Keep anchor IDs unique across the whole document.
+		this._enableUniqueIdsPostFixer();
+
 		// Change the attributes of the selection in certain situations after the anchor was inserted into the document.
 		this._enableInsertContentSelectionAttributesFixer();
 
@@ -122,6 +388,96 @@ export default class AnchorEditing extends Plugin {
 		this._handleDeleteContentAfterAnchor();
 	}
 
+	/**
+	 * Returns the sanitized anchor ID as it should be rendered in the data and the editing view.
+	 *
+	 * The ID is sanitized by the {@link module:anchor/utils~sanitizeAnchorId `sanitizeAnchorId()`} helper first
+	 * and then by the {@link module:anchor/anchor~AnchorConfig#sanitizeId `config.anchor.sanitizeId`} callback, if configured.
+	 * If the callback returns an empty ID, the ID sanitized by the helper is used.
+	 *
+	 * The anchors whose sanitized ID is empty are not rendered in the data.
+	 *
+	 * @param {String} id
+	 * @returns {String}
+	 */
+	sanitizeId( id ) {
+		const sanitizedId = sanitizeAnchorId( id );
+
+		if ( !this._sanitizeIdCallback ) {
+			return sanitizedId;
+		}
+
+		return sanitizeAnchorId( this._sanitizeIdCallback( sanitizedId ) ) || sanitizedId;
+	}
+
+	/**
+	 * Returns the anchor ID as it should be rendered in the data: the {@link #sanitizeId sanitized} ID preceded by
+	 * the {@link module:anchor/anchor~AnchorConfig#idPrefix `config.anchor.idPrefix`}.
+	 *
+	 * @param {String} id
+	 * @returns {String}
+	 */
+	getDataId( id ) {
+		const sanitizedId = this.sanitizeId( id );
+
+		return sanitizedId ? this.editor.config.get( 'anchor.idPrefix' ) + sanitizedId : sanitizedId;
+	}
+
+	/**
+	 * Returns the URL of the anchor: the {@link module:anchor/anchor~AnchorConfig#baseUrl `config.anchor.baseUrl`}
+	 * followed by the URL-encoded {@link #getDataId data ID} as the fragment, e.g. `'https://example.com/docs/42#pricing'`.
+	 *
+	 * @param {String} id
+	 * @returns {String}
+	 */
+	getAnchorUrl( id ) {
+		let baseUrl = this._baseUrl;
+
+		if ( typeof baseUrl == 'function' ) {
+			baseUrl = baseUrl( this.editor );
+		} else if ( baseUrl === null || baseUrl === undefined ) {
+			baseUrl = global.window.location.href.split( '#' )[ 0 ];
+		}
+
+		return `${ baseUrl }#${ encodeURIComponent( this.getDataId( id ) ) }`;
+	}
+
+	/**
+	 * Returns the model anchor ID for the `id` attribute found in the data. The
+	 * {@link module:anchor/anchor~AnchorConfig#idPrefix `config.anchor.idPrefix`} is stripped and the rest is kept as is.
+	 *
+	 * The loaded IDs are neither normalized nor checked against the {@link module:anchor/anchor~AnchorConfig#idPolicy
+	 * `config.anchor.idPolicy`}, because the links to them (also from other documents) would not match anymore and the legacy
+	 * anchors (e.g. `<a name="Section 1">`) would be lost. The IDs which do not follow the policy are reported by the
+	 * {@link module:anchor/anchorspanel~AnchorsPanel anchors panel}, so they can be renamed.
+	 *
+	 * @param {String} viewId
+	 * @returns {String|null} The model ID or `null` if the ID is empty.
+	 */
+	getModelId( viewId ) {
+		const idPrefix = this.editor.config.get( 'anchor.idPrefix' );
+
+		if ( idPrefix && viewId && viewId.startsWith( idPrefix ) ) {
+			viewId = viewId.slice( idPrefix.length );
+		}
+
+		return typeof viewId == 'string' && viewId.trim() ? viewId : null;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	afterInit() {
+		const schema = this.editor.model.schema;
+
+		// Block elements are registered by other features, so the schema can be extended only once all plugins were initialized.
+		for ( const elementName of this.editor.config.get( 'anchor.blockElements' ) ) {
+			if ( schema.isRegistered( elementName ) ) {
+				schema.extend( elementName, { allowAttributes: 'anchorId' } );
+			}
+		}
+	}
+
 	/**
 	 * Processes an array of configured {@link module:anchor/anchor~AnchorDecoratorAutomaticDefinition automatic decorators}
 	 * and registers a {@link module:engine/conversion/downcastdispatcher~DowncastDispatcher downcast dispatcher}
@@ -212,6 +568,86 @@ export default class AnchorEditing extends Plugin {
 		} );
 	}
 
+	/**
+	 * Registers a model post-fixer which resolves anchors sharing the same ID, for example after splitting an anchored
+	 * paragraph with <kbd>Enter</kbd> or pasting a copied anchor. Only the IDs of the inserted or changed anchors are checked.
+	 *
+	 * The anchor that existed before the change keeps its ID and the others are resolved according to the
+	 * {@link module:anchor/anchor~AnchorConfig#duplicateIds `config.anchor.duplicateIds`} strategy. Since this is a post-fixer,
+	 * the fix is a part of the same undo step as the change that caused it.
+	 *
+	 * @private
+	 */
+	_enableUniqueIdsPostFixer() {
+		const editor = this.editor;
+		const model = editor.model;
+		// Read the whole config object as `config.get()` does not preserve a callback set as a top-level config value.
+		const strategy = editor.config.get( 'anchor' ).duplicateIds;
+
+		model.document.registerPostFixer( writer => {
+			const changedRanges = getChangedAnchorRanges( model );
+
+			const changedIds = new Set();
+
+			for ( const range of changedRanges ) {
+				for ( const anchor of findAnchorsInRange( model, range ) ) {
+					changedIds.add( anchor.id );
+				}
+			}
+
+			if ( !changedIds.size ) {
+				return false;
+			}
+
+			const anchors = findAnchors( model );
+			const usedIds = new Set( anchors.map( anchor => anchor.id ) );
+			const anchorsById = new Map();
+			let wasFixed = false;
+
+			// Only the changed anchors may have become duplicates. The duplicates that were already in the document are left
+			// to the user (the anchors panel reports them).
+			for ( const anchor of anchors ) {
+				if ( !changedIds.has( anchor.id ) ) {
+					continue;
+				}
+
+				if ( !anchorsById.has( anchor.id ) ) {
+					anchorsById.set( anchor.id, [] );
+				}
+
+				anchorsById.get( anchor.id ).push( anchor );
+			}
+
+			for ( const [ id, duplicates ] of anchorsById ) {
+				if ( duplicates.length < 2 ) {
+					continue;
+				}
+
+				// Prefer the anchor untouched by the change, so e.g. pasting a copy of an anchor does not rename the original.
+				const original = duplicates.find( anchor => !isAnchorChanged( anchor, changedRanges ) ) || duplicates[ 0 ];
+
+				for ( const anchor of duplicates ) {
+					if ( anchor === original ) {
+						continue;
+					}
+
+					const newId = resolveDuplicateId( id, usedIds, strategy );
+
+					if ( newId ) {
+						usedIds.add( newId );
+						setAnchorId( writer, anchor, newId );
+					} else {
+						setAnchorId( writer, anchor, null );
+					}
+
+					wasFixed = true;
+				}
+			}
+
+			return wasFixed;
+		} );
+	}
+
 	/**
 	 * Starts listening to {@link module:engine/model/model~Model#event:insertContent} and corrects the model
 	 * selection attributes if the selection is at the end of a anchor after inserting the content.
@@ -510,6 +946,220 @@ export default class AnchorEditing extends Plugin {
 	}
 }
 
+// Returns the view elements loaded as anchors. Anchors are always loaded from `<a id>` elements. The element configured
+// in `config.anchor.output` is loaded too, so the data produced by the editor can be loaded back. Legacy `<a name>` anchors
+// are loaded with the low priority, so the `id` attribute wins when an element has both.
+//
+// @param {module:anchor/anchor~AnchorOutputConfig} output
+// @param {module:anchor/anchor~AnchorUpcastConfig} upcastConfig
+// @returns {Array.<Object>} The element names with the attribute holding the anchor ID and the converter priority.
+function getUpcastAnchorElements( output, upcastConfig ) {
+	const elements = [ { name: 'a', idAttribute: 'id', converterPriority: 'normal' } ];
+	const idAttribute = output.idAttributes.includes( 'id' ) ? 'id' : output.idAttributes[ 0 ];
+
+	if ( idAttribute && ( output.element != 'a' || idAttribute != 'id' ) ) {
+		elements.push( { name: output.element, idAttribute, converterPriority: 'low' } );
+	}
+
+	if ( upcastConfig.nameAttribute && !elements.some( element => element.name == 'a' && element.idAttribute == 'name' ) ) {
+		elements.push( { name: 'a', idAttribute: 'name', converterPriority: 'low' } );
+	}
+
+	return elements;
+}
+
+// Returns a converter for anchors stored by CKEditor 4 as fake objects, i.e. images standing in place of the real anchor:
+//
+//		<img class="cke_anchor" data-cke-realelement="%3Ca%20name%3D%22top%22%3E%3C%2Fa%3E" data-cke-real-element-type="anchor">
+//
+// The fake object is converted to a point anchor with the ID (or the name) of the real element.
+//
+// @param {module:engine/dataprocessor/htmldataprocessor~HtmlDataProcessor} dataProcessor The processor parsing the real element.
+// @param {Function} getModelId The function returning the model ID for the view ID (see `AnchorEditing#getModelId()`).
+// @returns {Function}
+function upcastCKEditor4Anchor( dataProcessor, getModelId ) {
+	return dispatcher => {
+		dispatcher.on( 'element:img', ( evt, data, conversionApi ) => {
+			const viewItem = data.viewItem;
+			const consumables = { name: true, classes: 'cke_anchor', attributes: [ 'data-cke-realelement' ] };
+
+			if ( !viewItem.hasClass( 'cke_anchor' ) || !viewItem.hasAttribute( 'data-cke-realelement' ) ) {
+				return;
+			}
+
+			if ( !conversionApi.consumable.test( viewItem, consumables ) ) {
+				return;
+			}
+
+			const realElement = parseCKEditor4RealElement( dataProcessor, viewItem.getAttribute( 'data-cke-realelement' ) );
+			const id = realElement && getModelId( realElement.getAttribute( 'id' ) || realElement.getAttribute( 'name' ) );
+
+			if ( !id ) {
+				return;
+			}
+
+			const anchor = conversionApi.writer.createElement( 'anchor', { anchorId: id } );
+
+			if ( !conversionApi.safeInsert( anchor, data.modelCursor ) ) {
+				return;
+			}
+
+			conversionApi.consumable.consume( viewItem, consumables );
+			conversionApi.updateConversionResult( anchor, data );
+		}, { priority: 'high' } );
+	};
+}
+
+// Returns the `<a>` element encoded in the `data-cke-realelement` attribute of a CKEditor 4 fake object.
+//
+// @param {module:engine/dataprocessor/htmldataprocessor~HtmlDataProcessor} dataProcessor
+// @param {String} encodedHtml
+// @returns {module:engine/view/element~Element|null}
+function parseCKEditor4RealElement( dataProcessor, encodedHtml ) {
+	let html;
+
+	try {
+		html = decodeURIComponent( encodedHtml );
+	} catch ( error ) {
+		// The attribute is malformed, so there is nothing to restore.
+		return null;
+	}
+
+	const realElement = dataProcessor.toView( html ).getChild( 0 );
+
+	return realElement && realElement.is( 'element', 'a' ) ? realElement : null;
+}
+
+// Returns a converter that sets the `anchorId` attribute on the converted block when its view element has the `id` attribute.
+// It runs after the block was converted by its own feature, so the model element is known regardless of the view element name.
+//
+// @param {Function} getModelId The function returning the model ID for the view ID (see `AnchorEditing#getModelId()`).
+// @returns {Function}
+function upcastBlockAnchor( getModelId ) {
+	return dispatcher => {
+		dispatcher.on( 'element', ( evt, data, conversionApi ) => {
+			if ( !data.modelRange || !data.viewItem.hasAttribute( 'id' ) ) {
+				return;
+			}
+
+			const modelElement = data.modelRange.start.nodeAfter;
+
+			// The `id` of a wrapper converted to many blocks (like a list) or unwrapped to its content (like an unsupported
+			// `<div>`) does not belong to any of them.
+			if ( !modelElement || !data.modelRange.isEqual( conversionApi.writer.createRangeOn( modelElement ) ) ) {
+				return;
+			}
+
+			const id = getModelId( data.viewItem.getAttribute( 'id' ) );
+
+			if ( id === null || !isBlockAnchorAllowed( modelElement, conversionApi.schema ) ) {
+				return;
+			}
+
+			if ( !conversionApi.consumable.consume( data.viewItem, { attributes: [ 'id' ] } ) ) {
+				return;
+			}
+
+			conversionApi.writer.setAttribute( 'anchorId', id, modelElement );
+		}, { priority: 'low' } );
+	};
+}
+
+// Returns model ranges which were inserted or got the `anchorId` attribute in the changes buffered in the differ.
+// Returns an empty array if none of the changes could create a duplicated anchor. The text inserted into an anchored text
+// (e.g. typed inside an anchor) only extends the anchor, so it is skipped.
+//
+// @param {module:engine/model/model~Model} model
+// @returns {Array.<module:engine/model/range~Range>}
+function getChangedAnchorRanges( model ) {
+	const changedRanges = [];
+
+	for ( const change of model.document.differ.getChanges() ) {
+		if ( change.type == 'attribute' && change.attributeKey == 'anchorId' && change.attributeNewValue ) {
+			changedRanges.push( change.range );
+		} else if ( change.type == 'insert' ) {
+			const range = model.createRange( change.position, change.position.getShiftedBy( change.length ) );
+
+			const items = Array.from( range.getItems() ).filter( item => item.hasAttribute( 'anchorId' ) );
+			const neighbourIds = [
+				getTextAnchorId( range.start.textNode || range.start.nodeBefore ),
+				getTextAnchorId( range.end.textNode || range.end.nodeAfter )
+			];
+
+			// Check the inserted content only, so typing outside of anchors does not trigger scanning the whole document.
+			if ( items.some( item => !item.is( '$textProxy' ) || !neighbourIds.includes( item.getAttribute( 'anchorId' ) ) ) ) {
+				changedRanges.push( range );
+			}
+		}
+	}
+
+	return changedRanges;
+}
+
+// Returns the `anchorId` of the given node if it is an anchored text.
+//
+// @param {module:engine/model/node~Node|null} node
+// @returns {String|undefined}
+function getTextAnchorId( node ) {
+	return node && node.is( '$text' ) ? node.getAttribute( 'anchorId' ) : undefined;
+}
+
+// Checks whether an anchor (see `findAnchors()`) intersects any of the changed ranges.
+//
+// @param {Object} anchor
+// @param {Array.<module:engine/model/range~Range>} changedRanges
+// @returns {Boolean}
+function isAnchorChanged( anchor, changedRanges ) {
+	return changedRanges.some( range => range.root == anchor.range.root && !!range.getIntersection( anchor.range ) );
+}
+
+// Returns a new ID for a duplicated anchor according to the `config.anchor.duplicateIds` strategy
+// or `null` if the duplicated anchor should be removed.
+//
+// @param {String} id
+// @param {Set.<String>} usedIds
+// @param {'suffix'|'strip'|Function} strategy
+// @returns {String|null}
+function resolveDuplicateId( id, usedIds, strategy ) {
+	if ( typeof strategy == 'function' ) {
+		const newId = strategy( id, usedIds );
+
+		// An ID that is still used would be reported as a duplicate again, so such anchor is removed instead.
+		return newId && !usedIds.has( newId ) ? newId : null;
+	}
+
+	if ( strategy == 'strip' ) {
+		return null;
+	}
+
+	return getUniqueAnchorId( id, usedIds );
+}
+
+// Sets the ID of an anchor (see `findAnchors()`). When the `id` is `null`, the anchor is removed: the attribute is removed
+// from anchored text, blocks and images, while point anchors are removed entirely.
+//
+// @param {module:engine/model/writer~Writer} writer
+// @param {Object} anchor
+// @param {String|null} id
+function setAnchorId( writer, anchor, id ) {
+	const { element } = anchor;
+
+	if ( isPointAnchor( element ) && !id ) {
+		writer.remove( element );
+
+		return;
+	}
+
+	// The range of an anchored text may span soft breaks and block boundaries, which must not get the attribute.
+	for ( const itemOrRange of element ? [ element ] : getAnchoredTextRanges( writer.model, anchor ) ) {
+		if ( id ) {
+			writer.setAttribute( 'anchorId', id, itemOrRange );
+		} else {
+			writer.removeAttribute( 'anchorId', itemOrRange );
+		}
+	}
+}
+
 // Make the selection free of anchor-related model attributes.
 // All anchor-related model attributes start with "anchor". That includes not only "anchorId"
 // but also all decorator attributes (they have dynamic names).
@@ -0,0 +1,188 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module anchor/anchorhashsync
+ */
+
+import Plugin from '@ckeditor/ckeditor5-core/src/plugin';
+import AnchorEditing from './anchorediting';
+import AnchorRegistry from './anchorregistry';
+import { getAnchorIdsFromHref, getAnchorPosition } from './utils';
+
+/**
+ * The anchor hash sync feature.
+ *
+ * It synchronizes the URL hash of the page with the anchors in the editor. When the editor data is
+ * {@link module:engine/controller/datacontroller~DataController#init initialized}, the editor goes to the anchor
+ * the hash points at (see the `'goToAnchor'` command), so the application can open a document at `/docs/42#pricing`.
+ *
+ * When {@link module:anchor/anchor~AnchorHashSyncConfig#updateHash `config.anchor.hashSync.updateHash`} is enabled,
+ * the hash is also updated as the caret enters a different anchored section of the focused editor. A section starts
+ * at an anchor and ends where the next anchor starts.
+ *
+ * The page location is accessed through the {@link module:anchor/anchor~AnchorLocationAdapter location adapter}
+ * which can be replaced in {@link module:anchor/anchor~AnchorHashSyncConfig#location `config.anchor.hashSync.location`}.
+ *
+ * The plugin is not loaded by the {@link module:anchor/anchor~Anchor anchor plugin}, add it to the editor plugins to opt in.
+ *
+ * @extends module:core/plugin~Plugin
+ */
+export default class AnchorHashSync extends Plugin {
+	/**
+	 * @inheritDoc
+	 */
+	static get pluginName() {
+		return 'AnchorHashSync';
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	static get requires() {
+		return [ AnchorEditing, AnchorRegistry ];
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	init() {
+		const editor = this.editor;
+		const config = editor.config.get( 'anchor.hashSync' );
+
+		/**
+		 * The adapter used to read and write the URL hash.
+		 *
+		 * @readonly
+		 * @member {module:anchor/anchor~AnchorLocationAdapter}
+		 */
+		this.location = getLocationAdapter( config.location );
+
+		/**
+		 * The ID of the anchor starting the section the caret was in when the hash was last updated.
+		 *
+		 * @private
+		 * @member {String|null}
+		 */
+		this._sectionId = null;
+
+		// Go to the anchor once the data is loaded.
+		this.listenTo( editor.data, 'init', () => this.goToHashAnchor(), { priority: 'lowest' } );
+
+		if ( config.updateHash ) {
+			// The registry is updated on the `change:data` event, so listen after it.
+			this.listenTo( editor.model.document, 'change', () => this._updateHash(), { priority: 'low' } );
+		}
+	}
+
+	/**
+	 * Moves the selection to the anchor the current URL hash points at and scrolls it into view.
+	 *
+	 * It is called when the editor data is initialized. The application can call it again, for instance, on the `hashchange` event.
+	 *
+	 * @returns {Boolean} Whether the anchor was found.
+	 */
+	goToHashAnchor() {
+		const editor = this.editor;
+		const hash = this.location.getHash();
+
+		if ( !hash || hash == '#' ) {
+			return false;
+		}
+
+		const ids = getAnchorIdsFromHref( hash, editor.config.get( 'anchor.idPrefix' ) );
+
+		return ids.some( id => editor.execute( 'goToAnchor', id ) );
+	}
+
+	/**
+	 * Updates the URL hash when the caret entered a different anchored section of the focused editor.
+	 * The hash is cleared when the caret is before the first anchor.
+	 *
+	 * @private
+	 */
+	_updateHash() {
+		const editor = this.editor;
+
+		// Changes of the selection which were not made by the user (e.g. when loading the data) do not affect the hash.
+		if ( !editor.editing.view.document.isFocused ) {
+			return;
+		}
+
+		const anchor = this._getSectionAnchor();
+		const id = anchor && anchor.id ? anchor.id : null;
+
+		if ( id === this._sectionId ) {
+			return;
+		}
+
+		const hash = id === null ? '' : `#${ editor.plugins.get( AnchorEditing ).getDataId( id ) }`;
+
+		this._sectionId = id;
+
+		if ( hash != this.location.getHash() ) {
+			this.location.setHash( hash );
+		}
+	}
+
+	/**
+	 * Returns the anchor starting the section the selection is in, i.e. the last anchor at or before the selection.
+	 *
+	 * @private
+	 * @returns {module:anchor/anchorregistry~AnchorRegistryItem|null}
+	 */
+	_getSectionAnchor() {
+		const model = this.editor.model;
+		const selectionPosition = model.document.selection.getFirstPosition();
+		let sectionAnchor = null;
+		let sectionPosition = null;
+
+		for ( const anchor of this.editor.plugins.get( AnchorRegistry ).anchors ) {
+			const position = getAnchorPosition( model, anchor );
+
+			if ( position.root != selectionPosition.root || position.isAfter( selectionPosition ) ) {
+				continue;
+			}
+
+			if ( !sectionPosition || position.isAfter( sectionPosition ) ) {
+				sectionAnchor = anchor;
+				sectionPosition = position;
+			}
+		}
+
+		return sectionAnchor;
+	}
+}
+
+// Returns the location adapter from the configuration. The configuration is cloned when read, so the adapter is created
+// by a function in order to keep its reference. When no adapter is configured, the location of the current page is used.
+//
+// @param {module:anchor/anchor~AnchorLocationAdapter|Function|null} location
+// @returns {module:anchor/anchor~AnchorLocationAdapter}
+function getLocationAdapter( location ) {
+	if ( typeof location == 'function' ) {
+		return location();
+	}
+
+	return location || createWindowLocationAdapter();
+}
+
+// Returns the location adapter reading and writing the hash of the current page. The hash is replaced
+// in the browser history, so moving the caret does not create history entries or scroll the page.
+//
+// @returns {module:anchor/anchor~AnchorLocationAdapter}
+function createWindowLocationAdapter() {
+	return {
+		getHash() {
+			return window.location.hash;
+		},
+
+		setHash( hash ) {
+			const url = window.location.href.split( '#' )[ 0 ];
+
+			window.history.replaceState( window.history.state, '', url + hash );
+		}
+	};
+}
@@ -11,10 +11,16 @@ import Plugin from '@ckeditor/ckeditor5-core/src/plugin';
 import ImageEditing from '@ckeditor/ckeditor5-image/src/image/imageediting';
 import Matcher from '@ckeditor/ckeditor5-engine/src/view/matcher';
 import toMap from '@ckeditor/ckeditor5-utils/src/tomap';
+import priorities from '@ckeditor/ckeditor5-utils/src/priorities';
 import AnchorEditing from './anchorediting';
+import { shouldStripAnchors } from './utils';
 
 import anchorIcon from '../theme/icons/anchor.svg';
 
+// Anchored images are converted right after the `high` priority converters of linked images, because the linked image
+// converter does not expect the image in `<a href="..." id="..."><img></a>` to be converted by another converter already.
+const UPCAST_PRIORITY = priorities.get( 'high' ) - 1;
+
 /**
  * The anchor image engine feature.
  *
@@ -43,9 +49,17 @@ export default class AnchorImageEditing extends Plugin {
 
 		editor.model.schema.extend( 'image', { allowAttributes: [ 'anchorId' ] } );
 
-		editor.conversion.for( 'upcast' ).add( upcastAnchor() );
-		editor.conversion.for( 'editingDowncast' ).add( downcastImageAnchor( { attachIconIndicator: true } ) );
-		editor.conversion.for( 'dataDowncast' ).add( downcastImageAnchor( { attachIconIndicator: false } ) );
+		const anchorEditing = editor.plugins.get( AnchorEditing );
+
+		editor.conversion.for( 'upcast' ).add( upcastAnchor( id => anchorEditing.getModelId( id ) ) );
+		editor.conversion.for( 'editingDowncast' ).add( downcastImageAnchor( {
+			attachIconIndicator: true,
+			getViewId: id => anchorEditing.sanitizeId( id )
+		} ) );
+		editor.conversion.for( 'dataDowncast' ).add( downcastImageAnchor( {
+			attachIconIndicator: false,
+			getViewId: id => anchorEditing.getDataId( id )
+		} ) );
 
 		// Definitions for decorators are provided by the `anchor` command and the `AnchorEditing` plugin.
 		this._enableAutomaticDecorators();
@@ -90,8 +104,9 @@ export default class AnchorImageEditing extends Plugin {
 // Returns a converter that consumes the 'id' attribute if a anchor contains an image.
 //
 // @private
+// @param {Function} getModelId The function returning the model ID for the view ID (see `AnchorEditing#getModelId()`).
 // @returns {Function}
-function upcastAnchor() {
+function upcastAnchor( getModelId ) {
 	return dispatcher => {
 		dispatcher.on( 'element:a', ( evt, data, conversionApi ) => {
 			const viewAnchor = data.viewItem;
@@ -110,9 +125,9 @@ function upcastAnchor() {
 				return;
 			}
 
-			const anchorId = viewAnchor.getAttribute( 'id' );
+			const anchorId = getModelId( viewAnchor.getAttribute( 'id' ) );
 
-			// Missing the 'id' attribute.
+			// Missing the 'id' attribute or the ID is rejected by the policy.
 			if ( !anchorId ) {
 				return;
 			}
@@ -121,7 +136,11 @@ function upcastAnchor() {
 			// figure > a > img: parent of the view anchor element is an image element (figure).
 			let modelElement = data.modelCursor.parent;
 
-			if ( !modelElement.is( 'element', 'image' ) ) {
+			if ( !modelElement.is( 'element', 'image' ) && data.modelRange ) {
+				// a > img: the image was already converted by another converter for the same `<a>` element,
+				// e.g. by the linked image converter when the anchor is also a link (`<a href="..." id="..."><img></a>`).
+				modelElement = data.modelRange.start.nodeAfter;
+			} else if ( !modelElement.is( 'element', 'image' ) ) {
 				// a > img: parent of the view anchor is not the image (figure) element. We need to convert it manually.
 				const conversionResult = conversionApi.convertItem( imageInAnchor, data.modelCursor );
 
@@ -138,7 +157,7 @@ function upcastAnchor() {
 				// Set the anchorId attribute from anchor element on model image element.
 				conversionApi.writer.setAttribute( 'anchorId', anchorId, modelElement );
 			}
-		}, { priority: 'high' } );
+		}, { priority: UPCAST_PRIORITY } );
 		// Using the same priority that `upcastImageAnchorManualDecorator()` converter guarantees
 		// that manual decorators will decorate the proper element.
 	};
@@ -149,14 +168,22 @@ function upcastAnchor() {
 // @private
 // @params {Object} options
 // @params {Boolean} options.attachIconIndicator=false If set to `true`, an icon that informs about the anchored image will be added.
+// @params {Function} options.getViewId The function returning the rendered anchor ID (see `AnchorEditing#getDataId()`).
 // @returns {Function}
 function downcastImageAnchor( options ) {
 	return dispatcher => {
 		dispatcher.on( 'attribute:anchorId:image', ( evt, data, conversionApi ) => {
+			if ( shouldStripAnchors( conversionApi ) ) {
+				return;
+			}
+
 			// The image will be already converted - so it will be present in the view.
 			const viewFigure = conversionApi.mapper.toViewElement( data.item );
 			const writer = conversionApi.writer;
 
+			// An ID which is empty once sanitized is not rendered, like a removed one.
+			const viewId = data.attributeNewValue ? options.getViewId( data.attributeNewValue ) : '';
+
 			// But we need to check whether the anchor element exists.
 			const anchorInImage = Array.from( viewFigure.getChildren() ).find( child => child.name === 'a' );
 
@@ -173,19 +200,22 @@ function downcastImageAnchor( options ) {
 			}
 
 			// If so, update the attribute if it's defined or remove the entire anchor if the attribute is empty.
+			// The `<a>` element is shared with the linked image feature, so it is kept (without the `id` attribute) for a linked image.
 			if ( anchorInImage ) {
-				if ( data.attributeNewValue ) {
-					writer.setAttribute( 'id', data.attributeNewValue, anchorInImage );
+				if ( viewId ) {
+					writer.setAttribute( 'id', viewId, anchorInImage );
+				} else if ( anchorInImage.hasAttribute( 'href' ) ) {
+					writer.removeAttribute( 'id', anchorInImage );
 				} else {
 					const viewImage = Array.from( anchorInImage.getChildren() ).find( child => child.name === 'img' );
 
 					writer.move( writer.createRangeOn( viewImage ), writer.createPositionAt( viewFigure, 0 ) );
 					writer.remove( anchorInImage );
 				}
-			} else {
+			} else if ( viewId ) {
 				// But if it does not exist. Let's wrap already converted image by newly created anchor element.
 				// 1. Create an empty anchor element.
-				const anchorElement = writer.createContainerElement( 'a', { id: data.attributeNewValue } );
+				const anchorElement = writer.createContainerElement( 'a', { id: viewId } );
 
 				// 2. Insert anchor inside the associated image.
 				writer.insert( writer.createPositionAt( viewFigure, 0 ), anchorElement );
@@ -261,7 +291,7 @@ function upcastImageAnchorManualDecorator( manualDecorators, decorator ) {
 			const modelElement = data.modelCursor.nodeBefore || data.modelCursor.parent;
 
 			conversionApi.writer.setAttribute( decorator.id, true, modelElement );
-		}, { priority: 'high' } );
+		}, { priority: UPCAST_PRIORITY } );
 		// Using the same priority that `upcastAnchor()` converter guarantees that the anchored image was properly converted.
 	};
 }
@@ -13,7 +13,6 @@ import Image from '@ckeditor/ckeditor5-image/src/image';
 import AnchorUI from './anchorui';
 import AnchorEditing from './anchorediting';
 import { isImageWidget } from '@ckeditor/ckeditor5-image/src/image/utils';
-import { LINK_KEYSTROKE } from './utils';
 
 import anchorIcon from '../theme/icons/anchor.svg';
 
@@ -80,7 +79,7 @@ export default class AnchorImageUI extends Plugin {
 				isEnabled: true,
 				label: t( 'Anchor image' ),
 				icon: anchorIcon,
-				keystroke: LINK_KEYSTROKE,
+				keystroke: editor.config.get( 'anchor.keystrokes.anchor' ),
 				tooltip: true,
 				isToggleable: true
 			} );
@@ -0,0 +1,107 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module anchor/anchormarkdown
+ */
+
+import Plugin from '@ckeditor/ckeditor5-core/src/plugin';
+import Markdown from '@ckeditor/ckeditor5-markdown-gfm/src/markdown';
+import AnchorEditing from './anchorediting';
+import AnchorMarkdownDataProcessor, { LEADING_ANCHOR_PROPERTY } from './anchormarkdowndataprocessor';
+import { isBlockAnchorAllowed } from './utils';
+
+/**
+ * The anchor Markdown integration.
+ *
+ * It makes anchors survive the Markdown round-trip when the editor data is stored as Markdown using the
+ * {@link module:markdown-gfm/markdown~Markdown Markdown feature}. The data processor set by the Markdown feature
+ * is decorated by the {@link module:anchor/anchormarkdowndataprocessor~AnchorMarkdownDataProcessor}, so the anchors
+ * are written as inline HTML (`<a id="install"></a>`, `<a id="install">Installation</a>`) or as the `{#install}`
+ * heading attributes:
+ *
+ *		ClassicEditor
+ *			.create( editorElement, {
+ *				plugins: [ Markdown, Heading, Anchor, AnchorMarkdown, ... ],
+ *				anchor: {
+ *					blockElements: [ 'heading1', 'heading2', 'heading3' ],
+ *					markdown: {
+ *						headingAnchorSyntax: 'attribute'
+ *					}
+ *				}
+ *			} )
+ *			.then( ... )
+ *			.catch( ... );
+ *
+ * The anchors of headings (and other blocks) are loaded back as block anchors, so the headings should be configured as
+ * {@link module:anchor/anchor~AnchorConfig#blockElements block elements}. See
+ * {@link module:anchor/anchormarkdowndataprocessor~AnchorMarkdownDataProcessor} to learn how each kind of anchor is written.
+ *
+ * **Note**: The round-trip is lossy for the anchored links and the anchored images. Markdown cannot hold their IDs, so
+ * their anchors are loaded back as separate point anchors placed before the link (or the image). The anchored text
+ * becomes a plain link and the anchored image becomes a plain image.
+ *
+ * @extends module:core/plugin~Plugin
+ */
+export default class AnchorMarkdown extends Plugin {
+	/**
+	 * @inheritDoc
+	 */
+	static get pluginName() {
+		return 'AnchorMarkdown';
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	static get requires() {
+		return [ Markdown, AnchorEditing ];
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	constructor( editor ) {
+		super( editor );
+
+		// The Markdown feature sets its data processor when it is created, so it can be decorated before the data is loaded.
+		editor.data.processor = new AnchorMarkdownDataProcessor( editor.data.processor, editor.data.viewDocument, {
+			headingAnchorSyntax: editor.config.get( 'anchor.markdown.headingAnchorSyntax' )
+		} );
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	init() {
+		const editor = this.editor;
+		const anchorEditing = editor.plugins.get( AnchorEditing );
+
+		// The empty anchor at the beginning of a block is the block anchor, unless the block cannot have one.
+		editor.conversion.for( 'upcast' ).add( dispatcher => {
+			dispatcher.on( 'element:a', ( evt, data, conversionApi ) => {
+				const { viewItem, modelCursor } = data;
+				const block = modelCursor.parent;
+
+				if ( !viewItem.getCustomProperty( LEADING_ANCHOR_PROPERTY ) || !modelCursor.isAtStart ) {
+					return;
+				}
+
+				if ( !block.is( 'element' ) || block.hasAttribute( 'anchorId' ) || !isBlockAnchorAllowed( block, conversionApi.schema ) ) {
+					return;
+				}
+
+				const id = anchorEditing.getModelId( viewItem.getAttribute( 'id' ) );
+
+				if ( id === null || !conversionApi.consumable.consume( viewItem, { name: true, attributes: [ 'id' ] } ) ) {
+					return;
+				}
+
+				conversionApi.writer.setAttribute( 'anchorId', id, block );
+				data.modelRange = conversionApi.writer.createRange( modelCursor );
+			}, { priority: 'high' } );
+		} );
+	}
+}
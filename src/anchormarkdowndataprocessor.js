@@ -0,0 +1,243 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module anchor/anchormarkdowndataprocessor
+ */
+
+import UpcastWriter from '@ckeditor/ckeditor5-engine/src/view/upcastwriter';
+import uid from '@ckeditor/ckeditor5-utils/src/uid';
+
+const HEADING_ELEMENTS = [ 'h1', 'h2', 'h3', 'h4', 'h5', 'h6' ];
+
+// The elements whose content starts on the same Markdown line as the element, so the anchor can be written inside them.
+const TEXT_BLOCK_ELEMENTS = [ 'p', ...HEADING_ELEMENTS, 'li', 'td', 'th' ];
+
+// Matches the `{#id}` attribute at the end of the heading text.
+const HEADING_ATTRIBUTE_REGEXP = /\s*\{#([^\s{}]+)\}\s*$/;
+
+/**
+ * The name of the custom property set by {@link module:anchor/anchormarkdowndataprocessor~AnchorMarkdownDataProcessor#toView}
+ * on an empty `<a id>` element at the beginning of a block. Such an anchor is either the block anchor or a point anchor
+ * at the beginning of the block, which is decided by the {@link module:anchor/anchormarkdown~AnchorMarkdown} converter.
+ *
+ * @type {String}
+ */
+export const LEADING_ANCHOR_PROPERTY = 'leadingAnchor';
+
+/**
+ * The Markdown data processor decorator preserving anchors. It is used by the
+ * {@link module:anchor/anchormarkdown~AnchorMarkdown anchor Markdown integration}.
+ *
+ * Markdown has no syntax for anchors, so they are written as inline HTML which is kept by Markdown processors:
+ *
+ * * The anchors wrapping some text are written around the text: `<a id="install">Installation</a> guide`.
+ * * The point anchors are written as empty elements: `<a id="install"></a>`.
+ * * The block anchors are written as empty elements at the beginning of the block: `<a id="install"></a>Installation`.
+ * The anchors of headings can be written as the `{#install}` heading attributes instead
+ * (see {@link module:anchor/anchor~AnchorMarkdownConfig#headingAnchorSyntax `config.anchor.markdown.headingAnchorSyntax`}):
+ *
+ *		## Installation {#install}
+ *
+ * All these formats are loaded back. An empty anchor at the beginning of a block is loaded as the block anchor if the block
+ * is configured as a {@link module:anchor/anchor~AnchorConfig#blockElements block element} and has no anchor yet. Otherwise,
+ * it is loaded as a point anchor. This means that a point anchor at the beginning of such a block becomes its block anchor.
+ *
+ * **Note**: The conversion of the anchors which are also links (or images) is lossy. The link (or the image) is written
+ * in the Markdown syntax, which cannot hold the ID, so the anchor is written as an empty element placed before it and
+ * it is loaded back as a point anchor. For instance, `<a id="docs" href="https://example.com">Docs</a>` is written as
+ * `<a id="docs"></a>[Docs](https://example.com)`.
+ *
+ * @implements module:engine/dataprocessor/dataprocessor~DataProcessor
+ */
+export default class AnchorMarkdownDataProcessor {
+	/**
+	 * Creates a new instance of the anchor Markdown data processor class.
+	 *
+	 * @param {module:engine/dataprocessor/dataprocessor~DataProcessor} processor The Markdown data processor which is decorated,
+	 * e.g. the {@link module:markdown-gfm/gfmdataprocessor~GFMDataProcessor}.
+	 * @param {module:engine/view/document~Document} document The view document instance.
+	 * @param {Object} [options]
+	 * @param {'html'|'attribute'} [options.headingAnchorSyntax='html'] The syntax of the heading anchors.
+	 */
+	constructor( processor, document, { headingAnchorSyntax = 'html' } = {} ) {
+		/**
+		 * The decorated Markdown data processor.
+		 *
+		 * @readonly
+		 * @member {module:engine/dataprocessor/dataprocessor~DataProcessor}
+		 */
+		this.processor = processor;
+
+		/**
+		 * The syntax of the heading anchors.
+		 *
+		 * @readonly
+		 * @member {'html'|'attribute'}
+		 */
+		this.headingAnchorSyntax = headingAnchorSyntax;
+
+		/**
+		 * The view document instance.
+		 *
+		 * @private
+		 * @member {module:engine/view/document~Document}
+		 */
+		this._document = document;
+	}
+
+	/**
+	 * Converts the provided Markdown string to a view tree. The `{#id}` heading attributes become the `id` attributes
+	 * of the headings. The empty anchors at the beginning of the blocks without the `id` attribute are marked with
+	 * the {@link module:anchor/anchormarkdowndataprocessor~LEADING_ANCHOR_PROPERTY custom property}.
+	 *
+	 * @param {String} data A Markdown string.
+	 * @returns {module:engine/view/documentfragment~DocumentFragment} The converted view element.
+	 */
+	toView( data ) {
+		const viewFragment = this.processor.toView( data );
+		const writer = new UpcastWriter( this._document );
+
+		for ( const heading of findElements( writer, viewFragment, element => HEADING_ELEMENTS.includes( element.name ) ) ) {
+			const lastChild = heading.getChild( heading.childCount - 1 );
+			const match = lastChild && lastChild.is( '$text' ) && lastChild.data.match( HEADING_ATTRIBUTE_REGEXP );
+
+			if ( !match ) {
+				continue;
+			}
+
+			const text = lastChild.data.slice( 0, match.index );
+
+			writer.remove( lastChild );
+
+			if ( text ) {
+				writer.appendChild( writer.createText( text ), heading );
+			}
+
+			writer.setAttribute( 'id', match[ 1 ], heading );
+		}
+
+		for ( const block of findElements( writer, viewFragment, element => TEXT_BLOCK_ELEMENTS.includes( element.name ) ) ) {
+			const firstChild = block.getChild( 0 );
+
+			if ( !block.hasAttribute( 'id' ) && firstChild && firstChild.is( 'element', 'a' ) && firstChild.isEmpty &&
+				firstChild.hasAttribute( 'id' ) ) {
+				writer.setCustomProperty( LEADING_ANCHOR_PROPERTY, true, firstChild );
+			}
+		}
+
+		return viewFragment;
+	}
+
+	/**
+	 * Converts the provided view tree to a Markdown string. The anchors are written as inline HTML or as the heading attributes.
+	 *
+	 * @param {module:engine/view/documentfragment~DocumentFragment} viewFragment
+	 * @returns {String} A Markdown string.
+	 */
+	toData( viewFragment ) {
+		const writer = new UpcastWriter( this._document );
+		// The anchors are replaced with unique tokens which the Markdown processor does not escape and then with the anchor syntax.
+		const tokenPrefix = uid();
+		const anchorsSyntax = [];
+
+		const createToken = syntax => {
+			anchorsSyntax.push( syntax );
+
+			return writer.createText( `${ tokenPrefix }${ anchorsSyntax.length - 1 }x` );
+		};
+
+		for ( const element of findElements( writer, viewFragment, element => getAnchorId( element ) !== null ) ) {
+			const id = getAnchorId( element );
+			const parent = element.parent;
+
+			writer.removeAttribute( 'id', element );
+			writer.removeAttribute( 'name', element );
+
+			// The element is an anchor only (not a link or an image), so its content is left alone.
+			const isAnchorOnly = ( element.name == 'a' && !element.hasAttribute( 'href' ) ) || element.name == 'span';
+
+			if ( HEADING_ELEMENTS.includes( element.name ) && this.headingAnchorSyntax == 'attribute' && /^[^\s{}]+$/.test( id ) ) {
+				writer.appendChild( createToken( ` {#${ id }}` ), element );
+			} else if ( TEXT_BLOCK_ELEMENTS.includes( element.name ) ) {
+				writer.insertChild( 0, createToken( createHtmlAnchor( id ) ), element );
+			} else if ( isAnchorOnly && !element.isEmpty ) {
+				const index = parent.getChildIndex( element );
+
+				// The content between the tags is converted to Markdown, which is still parsed inside the inline HTML.
+				writer.insertChild( index + 1, createToken( '</a>' ), parent );
+				writer.insertChild( index, createToken( createHtmlAnchorStartTag( id ) ), parent );
+				writer.unwrapElement( element );
+			} else {
+				writer.insertChild( parent.getChildIndex( element ), createToken( createHtmlAnchor( id ) ), parent );
+
+				if ( isAnchorOnly ) {
+					writer.unwrapElement( element );
+				}
+			}
+		}
+
+		const data = this.processor.toData( viewFragment );
+
+		return data.replace( new RegExp( `${ tokenPrefix }(\\d+)x`, 'g' ), ( match, index ) => anchorsSyntax[ index ] );
+	}
+
+	/**
+	 * Registers a pattern of elements whose content should be treated as raw data (see
+	 * {@link module:engine/dataprocessor/dataprocessor~DataProcessor#registerRawContentMatcher}). It is passed
+	 * to the decorated data processor.
+	 *
+	 * @param {module:engine/view/matcher~MatcherPattern} pattern
+	 */
+	registerRawContentMatcher( pattern ) {
+		this.processor.registerRawContentMatcher( pattern );
+	}
+}
+
+// Returns the elements of the view fragment matching the callback, in the document order.
+//
+// @param {module:engine/view/upcastwriter~UpcastWriter} writer
+// @param {module:engine/view/documentfragment~DocumentFragment} viewFragment
+// @param {Function} callback
+// @returns {Array.<module:engine/view/element~Element>}
+function findElements( writer, viewFragment, callback ) {
+	return Array.from( writer.createRangeIn( viewFragment ).getItems() )
+		.filter( item => item.is( 'element' ) && callback( item ) );
+}
+
+// Returns the anchor ID of the view element: its `id` or, for legacy anchors, `name` attribute. Returns `null`
+// if the element has neither.
+//
+// @param {module:engine/view/element~Element} element
+// @returns {String|null}
+function getAnchorId( element ) {
+	if ( element.hasAttribute( 'id' ) ) {
+		return element.getAttribute( 'id' );
+	}
+
+	if ( element.name == 'a' && element.hasAttribute( 'name' ) ) {
+		return element.getAttribute( 'name' );
+	}
+
+	return null;
+}
+
+// Returns the inline HTML of the point anchor.
+//
+// @param {String} id
+// @returns {String}
+function createHtmlAnchor( id ) {
+	return `${ createHtmlAnchorStartTag( id ) }</a>`;
+}
+
+// Returns the start tag of the anchor in the inline HTML.
+//
+// @param {String} id
+// @returns {String}
+function createHtmlAnchorStartTag( id ) {
+	const escapedId = id.replace( /&/g, '&amp;' ).replace( /"/g, '&quot;' ).replace( /</g, '&lt;' );
+
+	return `<a id="${ escapedId }">`;
+}
@@ -0,0 +1,351 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module anchor/anchorregistry
+ */
+
+import Plugin from '@ckeditor/ckeditor5-core/src/plugin';
+import Collection from '@ckeditor/ckeditor5-utils/src/collection';
+import LiveRange from '@ckeditor/ckeditor5-engine/src/model/liverange';
+import AnchorEditing from './anchorediting';
+import { findAnchorsInRange, getRangeText } from './utils';
+
+/**
+ * The anchor registry feature.
+ *
+ * It keeps the list of all anchors in the document up to date, so the application does not need to walk the model:
+ *
+ *		const registry = editor.plugins.get( 'AnchorRegistry' );
+ *
+ *		registry.has( 'install' ); // -> true
+ *		registry.get( 'install' ).text; // -> 'Installation'
+ *
+ *		registry.on( 'add', ( evt, anchor ) => {
+ *			console.log( `The "${ anchor.id }" anchor was added.` );
+ *		} );
+ *
+ * The registry is updated incrementally: only the parts of the document reported by the
+ * {@link module:engine/model/differ~Differ differ} are searched for anchors after each change.
+ *
+ * @extends module:core/plugin~Plugin
+ */
+export default class AnchorRegistry extends Plugin {
+	/**
+	 * @inheritDoc
+	 */
+	static get pluginName() {
+		return 'AnchorRegistry';
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	static get requires() {
+		return [ AnchorEditing ];
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	constructor( editor ) {
+		super( editor );
+
+		/**
+		 * The collection of all anchors in the document, identified by their IDs.
+		 *
+		 * **Note**: The order of the collection is the order in which the anchors were added. Use {@link #getAll}
+		 * to get the anchors in the document order.
+		 *
+		 * @readonly
+		 * @member {module:utils/collection~Collection.<module:anchor/anchorregistry~AnchorRegistryItem>}
+		 */
+		this.anchors = new Collection( { idProperty: 'id' } );
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	init() {
+		const model = this.editor.model;
+
+		this.listenTo( model.document, 'change:data', () => {
+			this._update( getChangedRanges( model ) );
+		} );
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	destroy() {
+		for ( const anchor of this.anchors ) {
+			anchor.range.detach();
+		}
+
+		this.anchors.clear();
+
+		super.destroy();
+	}
+
+	/**
+	 * Checks whether the document contains an anchor with the given `id`.
+	 *
+	 * @param {String} id
+	 * @returns {Boolean}
+	 */
+	has( id ) {
+		return this.anchors.has( id );
+	}
+
+	/**
+	 * Returns the anchor with the given `id` or `null` if there is none.
+	 *
+	 * @param {String} id
+	 * @returns {module:anchor/anchorregistry~AnchorRegistryItem|null}
+	 */
+	get( id ) {
+		return this.anchors.get( id );
+	}
+
+	/**
+	 * Returns all anchors in the document order.
+	 *
+	 * @returns {Array.<module:anchor/anchorregistry~AnchorRegistryItem>}
+	 */
+	getAll() {
+		const rootNames = this.editor.model.document.getRootNames();
+
+		return Array.from( this.anchors ).sort( ( anchorA, anchorB ) => {
+			const rootA = rootNames.indexOf( anchorA.rootName );
+			const rootB = rootNames.indexOf( anchorB.rootName );
+
+			if ( rootA != rootB ) {
+				return rootA - rootB;
+			}
+
+			return anchorA.range.start.isBefore( anchorB.range.start ) ? -1 : 1;
+		} );
+	}
+
+	/**
+	 * Returns the manifest of all anchors in the document order. It can be serialized with `JSON.stringify()`
+	 * and sent to the server, for instance, for search indexing.
+	 *
+	 *		registry.toJSON();
+	 *		// -> [ { id: 'install', text: 'Installation', root: 'main', element: 'heading2' }, ... ]
+	 *
+	 * The `element` is the name of the anchored model element (e.g. `'anchor'` for a point anchor or `'image'` for an anchored image)
+	 * or `null` for an anchored text.
+	 *
+	 * @returns {Array.<Object>}
+	 */
+	toJSON() {
+		return this.getAll().map( anchor => ( {
+			id: anchor.id,
+			text: anchor.text,
+			root: anchor.rootName,
+			element: anchor.element ? anchor.element.name : null
+		} ) );
+	}
+
+	/**
+	 * Updates the registry after the given model ranges were changed.
+	 *
+	 * The anchors found in the changed ranges are added or updated. The registered anchors which used to be
+	 * in the changed ranges (or were removed from the document) and are not found in their ranges anymore are removed.
+	 *
+	 * @private
+	 * @param {Array.<module:engine/model/range~Range>} changedRanges
+	 */
+	_update( changedRanges ) {
+		const model = this.editor.model;
+		const foundAnchors = new Map();
+
+		for ( const range of changedRanges ) {
+			for ( const anchor of findAnchorsInRange( model, range ) ) {
+				// Ranges may overlap, so the same anchor can be found more than once.
+				if ( !foundAnchors.has( anchor.id ) ) {
+					foundAnchors.set( anchor.id, anchor );
+				}
+			}
+		}
+
+		for ( const anchor of Array.from( this.anchors ) ) {
+			if ( foundAnchors.has( anchor.id ) ) {
+				continue;
+			}
+
+			if ( anchor.range.root.rootName == '$graveyard' ) {
+				this._remove( anchor );
+			} else if ( changedRanges.some( range => range.containsRange( anchor.range, true ) || range.isIntersecting( anchor.range ) ) ) {
+				// An anchored text may span several blocks and only a part of it might have been changed.
+				const foundAnchor = findAnchorsInRange( model, anchor.range ).find( ( { id } ) => id === anchor.id );
+
+				if ( foundAnchor ) {
+					foundAnchors.set( anchor.id, foundAnchor );
+				} else {
+					this._remove( anchor );
+				}
+			}
+		}
+
+		for ( const { id, range, element } of foundAnchors.values() ) {
+			const anchor = this.anchors.get( id );
+
+			if ( !anchor ) {
+				this._add( id, range, element );
+			} else if ( !anchor.range.isEqual( range ) || anchor.element !== element || anchor.text !== getRangeText( range ) ) {
+				this._change( anchor, range, element );
+			}
+		}
+	}
+
+	/**
+	 * Registers a new anchor.
+	 *
+	 * @private
+	 * @param {String} id
+	 * @param {module:engine/model/range~Range} range
+	 * @param {module:engine/model/element~Element|null} element
+	 * @fires add
+	 */
+	_add( id, range, element ) {
+		const anchor = {
+			id,
+			text: getRangeText( range ),
+			rootName: range.root.rootName,
+			range: LiveRange.fromRange( range ),
+			element
+		};
+
+		this.anchors.add( anchor );
+		this.fire( 'add', anchor );
+	}
+
+	/**
+	 * Updates the range and the text of a registered anchor.
+	 *
+	 * @private
+	 * @param {module:anchor/anchorregistry~AnchorRegistryItem} anchor
+	 * @param {module:engine/model/range~Range} range
+	 * @param {module:engine/model/element~Element|null} element
+	 * @fires change
+	 */
+	_change( anchor, range, element ) {
+		const text = getRangeText( range );
+
+		anchor.range.detach();
+
+		Object.assign( anchor, {
+			text,
+			rootName: range.root.rootName,
+			range: LiveRange.fromRange( range ),
+			element
+		} );
+
+		this.fire( 'change', anchor );
+	}
+
+	/**
+	 * Removes an anchor from the registry.
+	 *
+	 * @private
+	 * @param {module:anchor/anchorregistry~AnchorRegistryItem} anchor
+	 * @fires remove
+	 */
+	_remove( anchor ) {
+		anchor.range.detach();
+
+		this.anchors.remove( anchor );
+		this.fire( 'remove', anchor );
+	}
+
+	/**
+	 * Fired when a new anchor was added to the document.
+	 *
+	 * @event add
+	 * @param {module:anchor/anchorregistry~AnchorRegistryItem} anchor
+	 */
+
+	/**
+	 * Fired when an anchor was removed from the document.
+	 *
+	 * @event remove
+	 * @param {module:anchor/anchorregistry~AnchorRegistryItem} anchor
+	 */
+
+	/**
+	 * Fired when the content covered by an anchor changed, e.g. when the anchored text was edited.
+	 *
+	 * @event change
+	 * @param {module:anchor/anchorregistry~AnchorRegistryItem} anchor
+	 */
+}
+
+/**
+ * An anchor registered in the {@link module:anchor/anchorregistry~AnchorRegistry}.
+ *
+ * @typedef {Object} module:anchor/anchorregistry~AnchorRegistryItem
+ * @property {String} id The anchor ID.
+ * @property {String} text The text covered by the anchor. It is empty for point anchors.
+ * @property {String} rootName The name of the root containing the anchor.
+ * @property {module:engine/model/liverange~LiveRange} range The live range covered by the anchor.
+ * @property {module:engine/model/element~Element|null} element The anchored element (a point anchor, an anchored image
+ * or an anchored block) or `null` for an anchored text.
+ */
+
+// Returns the model ranges which should be searched for anchors after a change, based on the changes buffered in the differ.
+// A text change affects the whole parent, because the anchored text around it may be merged with or split by the change.
+//
+// @param {module:engine/model/model~Model} model
+// @returns {Array.<module:engine/model/range~Range>}
+function getChangedRanges( model ) {
+	const changedRanges = [];
+	const changedParents = new Set();
+
+	for ( const change of model.document.differ.getChanges() ) {
+		if ( change.type == 'attribute' ) {
+			if ( change.attributeKey == 'anchorId' ) {
+				const element = change.range.start.nodeAfter;
+
+				// The differ reports an attribute change of an element as a range from before the element to its start.
+				if ( element && element.is( 'element' ) && change.range.end.parent == element ) {
+					changedRanges.push( model.createRangeOn( element ) );
+				} else {
+					changedRanges.push( change.range );
+				}
+
+				changedParents.add( change.range.start.parent );
+				changedParents.add( change.range.end.parent );
+			}
+		} else if ( change.name == '$text' ) {
+			changedParents.add( change.position.parent );
+		} else if ( change.type == 'insert' ) {
+			changedRanges.push( model.createRange( change.position, change.position.getShiftedBy( change.length ) ) );
+		} else {
+			// An element was removed. The anchors inside it are moved to the graveyard, but the removal might merge
+			// the anchored text around the element.
+			changedParents.add( change.position.parent );
+		}
+	}
+
+	for ( const parent of changedParents ) {
+		// Skip the parents which were removed from the document in the same change.
+		if ( parent.root.rootName == '$graveyard' || parent.is( 'rootElement' ) ) {
+			continue;
+		}
+
+		changedRanges.push( model.createRangeIn( parent ) );
+
+		// The text of anchored blocks (and other anchored elements) containing the change has changed too.
+		for ( const ancestor of parent.getAncestors( { includeSelf: true } ) ) {
+			if ( ancestor.is( 'element' ) && ancestor.hasAttribute( 'anchorId' ) ) {
+				changedRanges.push( model.createRangeOn( ancestor ) );
+			}
+		}
+	}
+
+	return changedRanges;
+}
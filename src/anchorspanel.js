@@ -0,0 +1,194 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module anchor/anchorspanel
+ */
+
+import Plugin from '@ckeditor/ckeditor5-core/src/plugin';
+import { debounce } from 'lodash-es';
+import AnchorEditing from './anchorediting';
+import AnchorRegistry from './anchorregistry';
+import AnchorsPanelView from './ui/anchorspanelview';
+import { countAnchorLinks, getAnchoredTextRanges, getLocalizedValidationMessage, isPointAnchor, validateAnchorId } from './utils';
+
+/**
+ * The anchors panel feature.
+ *
+ * It introduces the {@link module:anchor/ui/anchorspanelview~AnchorsPanelView anchors panel} listing all anchors in the document
+ * with the number of links pointing at them and their validation state. The anchors can be renamed (using the `renameAnchor`
+ * command), removed and selected in the editor (using the `goToAnchor` command) from the panel.
+ *
+ * The panel is not a part of the editor UI, so it must be mounted in the page by the integration, for instance, next to the editor:
+ *
+ *		ClassicEditor
+ *			.create( editorElement, {
+ *				plugins: [ Anchor, AnchorsPanel, ... ]
+ *			} )
+ *			.then( editor => {
+ *				const panelView = editor.plugins.get( 'AnchorsPanel' ).view;
+ *
+ *				document.querySelector( '#outline' ).appendChild( panelView.element );
+ *			} )
+ *			.catch( ... );
+ *
+ * The panel is updated shortly after the document changes. Quick successive changes (e.g. typing) update it once.
+ *
+ * @extends module:core/plugin~Plugin
+ */
+export default class AnchorsPanel extends Plugin {
+	/**
+	 * @inheritDoc
+	 */
+	static get pluginName() {
+		return 'AnchorsPanel';
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	static get requires() {
+		return [ AnchorEditing, AnchorRegistry ];
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	init() {
+		const editor = this.editor;
+
+		/**
+		 * The anchors panel view. It is rendered when the plugin is initialized.
+		 *
+		 * @readonly
+		 * @member {module:anchor/ui/anchorspanelview~AnchorsPanelView}
+		 */
+		this.view = new AnchorsPanelView( editor.locale );
+		this.view.bind( 'isReadOnly' ).to( editor );
+		this.view.render();
+
+		this.listenTo( this.view, 'goTo', ( evt, id ) => editor.execute( 'goToAnchor', id ) );
+		this.listenTo( this.view, 'rename', ( evt, id, newId ) => this._rename( evt.source, id, newId ) );
+		this.listenTo( this.view, 'unanchor', ( evt, id ) => this._unanchor( id ) );
+
+		/**
+		 * Calls {@link #refresh} once the document stopped changing for a moment. Counting the links requires
+		 * walking the whole document, so it is not done on every keystroke.
+		 *
+		 * @private
+		 * @member {Function}
+		 */
+		this._refreshDebounced = debounce( () => this.refresh(), 200 );
+
+		this.listenTo( editor.model.document, 'change:data', this._refreshDebounced );
+
+		this.refresh();
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	destroy() {
+		super.destroy();
+
+		this._refreshDebounced.cancel();
+		this.view.destroy();
+	}
+
+	/**
+	 * Updates the {@link #view} with the current anchors in the document.
+	 */
+	refresh() {
+		const editor = this.editor;
+		const t = editor.t;
+		const linkCounts = countAnchorLinks( editor.model, editor.config.get( 'anchor.idPrefix' ) );
+
+		// The anchors loaded from the data are not normalized, so the ID which would be changed by the policy is reported too.
+		const validationOptions = {
+			idPolicy: Object.assign( {}, editor.config.get( 'anchor.idPolicy' ), { mode: 'reject' } ),
+			reservedIds: editor.config.get( 'anchor.reservedIds' )
+		};
+
+		this.view.setAnchors( editor.plugins.get( AnchorRegistry ).getAll().map( ( { id, text } ) => {
+			const reason = validateAnchorId( id, validationOptions );
+
+			return {
+				id,
+				text,
+				linkCount: linkCounts.get( id ) || 0,
+				errorText: reason ? getLocalizedValidationMessage( t, reason ) : null
+			};
+		} ) );
+	}
+
+	/**
+	 * Renames the anchor if the new ID is valid. Otherwise, displays the validation error in the item view.
+	 *
+	 * @private
+	 * @param {module:anchor/ui/anchorspanelitemview~AnchorsPanelItemView} itemView
+	 * @param {String} id
+	 * @param {String} newId
+	 */
+	_rename( itemView, id, newId ) {
+		const editor = this.editor;
+		const usedIds = new Set( editor.plugins.get( AnchorRegistry ).anchors.map( anchor => anchor.id ) );
+
+		usedIds.delete( id );
+
+		const reason = validateAnchorId( newId, {
+			idPolicy: editor.config.get( 'anchor.idPolicy' ),
+			reservedIds: editor.config.get( 'anchor.reservedIds' ),
+			usedIds
+		} );
+
+		if ( reason ) {
+			itemView.renameInputView.errorText = getLocalizedValidationMessage( editor.t, reason );
+
+			return;
+		}
+
+		itemView.stopEditing();
+		editor.execute( 'renameAnchor', id, newId );
+	}
+
+	/**
+	 * Removes the anchor without touching the selection. Like the `unanchor` command, it removes the point anchors entirely
+	 * and removes the manual decorators together with the `anchorId` attribute.
+	 *
+	 * @private
+	 * @param {String} id
+	 */
+	_unanchor( id ) {
+		const editor = this.editor;
+		const anchor = editor.plugins.get( AnchorRegistry ).get( id );
+		const anchorCommand = editor.commands.get( 'anchor' );
+
+		if ( !anchor ) {
+			return;
+		}
+
+		editor.model.change( writer => {
+			if ( isPointAnchor( anchor.element ) ) {
+				writer.remove( anchor.element );
+
+				return;
+			}
+
+			// Anchored elements (blocks and images) hold the attribute themselves. The anchored text may be split by soft breaks
+			// and block boundaries, so only its text ranges are changed.
+			const itemsOrRanges = anchor.element ? [ anchor.element ] : getAnchoredTextRanges( editor.model, anchor );
+
+			for ( const itemOrRange of itemsOrRanges ) {
+				writer.removeAttribute( 'anchorId', itemOrRange );
+
+				if ( anchorCommand ) {
+					for ( const manualDecorator of anchorCommand.manualDecorators ) {
+						writer.removeAttribute( manualDecorator.id, itemOrRange );
+					}
+				}
+			}
+		} );
+	}
+}
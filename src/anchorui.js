@@ -9,23 +9,55 @@
 
 import Plugin from '@ckeditor/ckeditor5-core/src/plugin';
 import ClickObserver from '@ckeditor/ckeditor5-engine/src/view/observer/clickobserver';
-import { addAnchorProtocolIfApplicable, isAnchorElement, LINK_KEYSTROKE } from './utils';
+import env from '@ckeditor/ckeditor5-utils/src/env';
+import {
+	findAnchorLinks,
+	findBlockAnchorElement,
+	generateAnchorId,
+	getAnchorIdsFromHref,
+	getLocalizedValidationMessage,
+	getRangeText,
+	getUniqueAnchorId,
+	isAnchorElement,
+	isLinkElement,
+	isPointAnchorElement,
+	isReservedAnchorId,
+	normalizeAnchorId,
+	validateAnchorId
+} from './utils';
 
 import ContextualBalloon from '@ckeditor/ckeditor5-ui/src/panel/balloon/contextualballoon';
+import Notification from '@ckeditor/ckeditor5-ui/src/notification/notification';
 
 import clickOutsideHandler from '@ckeditor/ckeditor5-ui/src/bindings/clickoutsidehandler';
 
 import ButtonView from '@ckeditor/ckeditor5-ui/src/button/buttonview';
+import { createDropdown } from '@ckeditor/ckeditor5-ui/src/dropdown/utils';
 import AnchorFormView from './ui/anchorformview';
 import AnchorActionsView from './ui/anchoractionsview';
+import AnchorListView from './ui/anchorlistview';
+import AnchorRegistry from './anchorregistry';
 
 import anchorIcon from '../theme/icons/anchor.svg';
 
 const VISUAL_SELECTION_MARKER_NAME = 'anchor-ui';
 
+// How long the "Link copied" confirmation is displayed (in milliseconds).
+const LINK_COPIED_DURATION = 2000;
+
 /**
  * The anchor UI plugin. It introduces the `'anchor'` and `'unanchor'` buttons and support for the <kbd>Ctrl+M</kbd> keystroke.
  *
+ * It also introduces the `'anchorList'` dropdown listing all anchors in the document. Picking an anchor from the list
+ * selects it and scrolls the editing view to it. The dropdown opens with the <kbd>Ctrl+Shift+L</kbd> keystroke.
+ *
+ * The keystrokes can be changed in {@link module:anchor/anchor~AnchorConfig#keystrokes `config.anchor.keystrokes`}.
+ *
+ * Links pointing at anchors (e.g. `<a href="#install">`) can be followed inside the editor with <kbd>Ctrl</kbd>+click
+ * (<kbd>Cmd</kbd>+click on Mac) or with <kbd>Alt+Enter</kbd> when the selection is in the link. In the read-only mode,
+ * a simple click is enough. A warning {@link module:ui/notification/notification~Notification notification} is shown
+ * when the anchor does not exist.
+ *
  * It uses the
  * {@link module:ui/panel/balloon/contextualballoon~ContextualBalloon contextual balloon plugin}.
  *
@@ -36,7 +68,7 @@ export default class AnchorUI extends Plugin {
 	 * @inheritDoc
 	 */
 	static get requires() {
-		return [ ContextualBalloon ];
+		return [ ContextualBalloon, Notification, AnchorRegistry ];
 	}
 
 	/**
@@ -76,12 +108,32 @@ export default class AnchorUI extends Plugin {
 		 */
 		this._balloon = editor.plugins.get( ContextualBalloon );
 
+		/**
+		 * The `'anchorList'` dropdown opened with the keystroke. When the dropdown is used more than once in the UI,
+		 * it is the one created last.
+		 *
+		 * @private
+		 * @member {module:ui/dropdown/dropdownview~DropdownView|null}
+		 */
+		this._anchorListDropdownView = null;
+
+		/**
+		 * The ID of the timeout hiding the "Link copied" confirmation in the {@link #actionsView}.
+		 *
+		 * @private
+		 * @member {Number|null}
+		 */
+		this._linkCopiedTimeoutId = null;
+
 		// Create toolbar buttons.
 		this._createToolbarAnchorButton();
 
 		// Attach lifecycle actions to the the balloon.
 		this._enableUserBalloonInteractions();
 
+		// Follow the links pointing at anchors.
+		this._enableFollowingAnchorLinks();
+
 		// Renders a fake visual selection marker on an expanded selection.
 		editor.conversion.for( 'editingDowncast' ).markerToHighlight( {
 			model: VISUAL_SELECTION_MARKER_NAME,
@@ -106,6 +158,8 @@ export default class AnchorUI extends Plugin {
 	destroy() {
 		super.destroy();
 
+		clearTimeout( this._linkCopiedTimeoutId );
+
 		// Destroy created UI components as they are not automatically destroyed (see ckeditor5#1341).
 		this.formView.destroy();
 	}
@@ -121,16 +175,42 @@ export default class AnchorUI extends Plugin {
 		const actionsView = new AnchorActionsView( editor.locale );
 		const anchorCommand = editor.commands.get( 'anchor' );
 		const unanchorCommand = editor.commands.get( 'unanchor' );
+		const copyAnchorLinkCommand = editor.commands.get( 'copyAnchorLink' );
+		const keystrokes = editor.config.get( 'anchor.keystrokes' );
 
 		actionsView.bind( 'id' ).to( anchorCommand, 'value' );
 		actionsView.editButtonView.bind( 'isEnabled' ).to( anchorCommand );
 		actionsView.unanchorButtonView.bind( 'isEnabled' ).to( unanchorCommand );
+		// The command is always enabled, the link can be copied if a named anchor is selected.
+		actionsView.copyButtonView.bind( 'isEnabled' ).to( copyAnchorLinkCommand, 'value', value => !!value );
+
+		// The balloon stays open when the selection moves to another anchor, so the links must be found again.
+		this.listenTo( anchorCommand, 'change:value', () => {
+			if ( this._areActionsInPanel ) {
+				this._updateActionsViewLinks();
+			}
+		} );
 
 		// Execute unanchor command after clicking on the "Edit" button.
 		this.listenTo( actionsView, 'edit', () => {
 			this._addFormView();
 		} );
 
+		// Copy the link to the anchor and confirm it for a while after clicking on the "Copy link" button.
+		this.listenTo( actionsView, 'copy', () => {
+			if ( !editor.execute( 'copyAnchorLink' ) ) {
+				return;
+			}
+
+			clearTimeout( this._linkCopiedTimeoutId );
+
+			actionsView.isLinkCopied = true;
+
+			this._linkCopiedTimeoutId = setTimeout( () => {
+				actionsView.isLinkCopied = false;
+			}, LINK_COPIED_DURATION );
+		} );
+
 		// Execute unanchor command after clicking on the "Unanchor" button.
 		this.listenTo( actionsView, 'unanchor', () => {
 			editor.execute( 'unanchor' );
@@ -144,10 +224,12 @@ export default class AnchorUI extends Plugin {
 		} );
 
 		// Open the form view on Ctrl+M when the **actions have focus**..
-		actionsView.keystrokes.set( LINK_KEYSTROKE, ( data, cancel ) => {
-			this._addFormView();
-			cancel();
-		} );
+		if ( keystrokes.anchor ) {
+			actionsView.keystrokes.set( keystrokes.anchor, ( data, cancel ) => {
+				this._addFormView();
+				cancel();
+			} );
+		}
 
 		return actionsView;
 	}
@@ -161,7 +243,6 @@ export default class AnchorUI extends Plugin {
 	_createFormView() {
 		const editor = this.editor;
 		const anchorCommand = editor.commands.get( 'anchor' );
-		const defaultProtocol = editor.config.get( 'anchor.defaultProtocol' );
 
 		const formView = new AnchorFormView( editor.locale, anchorCommand );
 
@@ -169,13 +250,40 @@ export default class AnchorUI extends Plugin {
 
 		// Form elements should be read-only when corresponding commands are disabled.
 		formView.urlInputView.bind( 'isReadOnly' ).to( anchorCommand, 'isEnabled', value => !value );
-		formView.saveButtonView.bind( 'isEnabled' ).to( anchorCommand );
+		formView.saveButtonView.bind( 'isEnabled' ).to( anchorCommand, 'isEnabled', formView, 'isValid',
+			( isEnabled, isValid ) => isEnabled && isValid );
+
+		// Validate the anchor name while the user types it.
+		formView.urlInputView.fieldView.on( 'input', () => {
+			this._validateForm();
+		} );
 
 		// Execute anchor command after clicking the "Save" button.
 		this.listenTo( formView, 'submit', () => {
+			// The form can be submitted with the Enter key even if the Save button is disabled.
+			// The form stays open and tells the user to pick another name.
+			if ( !this._validateForm() ) {
+				return;
+			}
+
 			const { value } = formView.urlInputView.fieldView.element;
-			const parsedUrl = addAnchorProtocolIfApplicable( value, defaultProtocol );
-			editor.execute( 'anchor', parsedUrl, formView.getDecoratorSwitchesState() );
+			const id = normalizeAnchorId( value, editor.config.get( 'anchor.idPolicy' ) );
+			const currentId = anchorCommand.value;
+			const batch = editor.model.createBatch();
+
+			// Renaming an existing anchor updates the links pointing at it too (if the user did not turn it off).
+			// Both commands make a single undo step. They are enqueued one after another (instead of being nested),
+			// so the `anchor` command sees the selection after the rename.
+			if ( currentId && id !== null && id !== currentId ) {
+				editor.model.enqueueChange( batch, () => {
+					editor.execute( 'renameAnchor', currentId, id, { updateLinks: formView.updateLinksSwitchView.isOn } );
+				} );
+			}
+
+			editor.model.enqueueChange( batch, () => {
+				editor.execute( 'anchor', value, formView.getDecoratorSwitchesState() );
+			} );
+
 			this._closeFormView();
 		} );
 
@@ -204,15 +312,29 @@ export default class AnchorUI extends Plugin {
 		const anchorCommand = editor.commands.get( 'anchor' );
 		const t = editor.t;
 
+		const keystrokes = editor.config.get( 'anchor.keystrokes' );
+
 		// Handle the `Ctrl+M` keystroke and show the panel.
-		editor.keystrokes.set( LINK_KEYSTROKE, ( keyEvtData, cancel ) => {
-			// Prevent focusing the search bar in FF, Chrome and Edge. See https://github.com/ckeditor/ckeditor5/issues/4811.
-			cancel();
+		if ( keystrokes.anchor ) {
+			editor.keystrokes.set( keystrokes.anchor, ( keyEvtData, cancel ) => {
+				// Prevent focusing the search bar in FF, Chrome and Edge. See https://github.com/ckeditor/ckeditor5/issues/4811.
+				cancel();
 
-			if ( anchorCommand.isEnabled ) {
-				this._showUI( true );
-			}
-		} );
+				if ( anchorCommand.isEnabled ) {
+					this._showUI( true );
+				}
+			} );
+		}
+
+		// Handle the `Ctrl+Shift+L` keystroke and open the anchor list.
+		if ( keystrokes.anchorList ) {
+			editor.keystrokes.set( keystrokes.anchorList, ( keyEvtData, cancel ) => {
+				if ( this._anchorListDropdownView ) {
+					this._anchorListDropdownView.isOpen = true;
+					cancel();
+				}
+			} );
+		}
 
 		editor.ui.componentFactory.add( 'anchor', locale => {
 			const button = new ButtonView( locale );
@@ -220,7 +342,7 @@ export default class AnchorUI extends Plugin {
 			button.isEnabled = true;
 			button.label = t( 'Anchor' );
 			button.icon = anchorIcon;
-			button.keystroke = LINK_KEYSTROKE;
+			button.keystroke = keystrokes.anchor;
 			button.tooltip = true;
 			button.isToggleable = true;
 
@@ -233,6 +355,43 @@ export default class AnchorUI extends Plugin {
 
 			return button;
 		} );
+
+		editor.ui.componentFactory.add( 'anchorList', locale => {
+			const registry = editor.plugins.get( AnchorRegistry );
+			const dropdownView = createDropdown( locale );
+			const listView = new AnchorListView( locale );
+
+			dropdownView.buttonView.set( {
+				label: t( 'Anchors' ),
+				withText: true,
+				tooltip: t( 'Go to an anchor' )
+			} );
+
+			dropdownView.extendTemplate( {
+				attributes: {
+					class: 'ck-anchor-list-dropdown'
+				}
+			} );
+
+			dropdownView.panelView.children.add( listView );
+			listView.delegate( 'execute' ).to( dropdownView );
+
+			// The list is refreshed every time the dropdown opens, so it is not re-rendered on every change in the document.
+			dropdownView.on( 'change:isOpen', ( evt, name, isOpen ) => {
+				if ( isOpen ) {
+					listView.setAnchors( registry.getAll() );
+					listView.focus();
+				}
+			} );
+
+			this.listenTo( dropdownView, 'execute', ( evt, id ) => {
+				editor.execute( 'goToAnchor', id );
+			} );
+
+			this._anchorListDropdownView = dropdownView;
+
+			return dropdownView;
+		} );
 	}
 
 	/**
@@ -249,7 +408,9 @@ export default class AnchorUI extends Plugin {
 		this.listenTo( viewDocument, 'click', () => {
 			const parentAnchor = this._getSelectedAnchorElement();
 
-			if ( parentAnchor ) {
+			// When the anchor is also a link, the link balloon opens on click, so the balloons do not replace each other.
+			// The anchor can still be edited using the toolbar button or the keystroke.
+			if ( parentAnchor && !this._isLinkSelected() ) {
 				// Then show panel but keep focus inside editor editable.
 				this._showUI();
 			}
@@ -285,6 +446,76 @@ export default class AnchorUI extends Plugin {
 		} );
 	}
 
+	/**
+	 * Enables following the links pointing at anchors with <kbd>Ctrl</kbd>+click and <kbd>Alt+Enter</kbd>.
+	 *
+	 * @private
+	 */
+	_enableFollowingAnchorLinks() {
+		const editor = this.editor;
+		const selection = editor.model.document.selection;
+
+		// Use the high priority so neither the link nor the anchor balloon opens for the link which was followed.
+		this.listenTo( editor.editing.view.document, 'click', ( evt, data ) => {
+			const isFollowingClick = env.isMac ? data.domEvent.metaKey : data.domEvent.ctrlKey;
+
+			if ( !data.target || !isFollowingClick && !editor.isReadOnly ) {
+				return;
+			}
+
+			const linkElement = [ data.target, ...data.target.getAncestors() ]
+				.find( element => element.is( 'element', 'a' ) && element.hasAttribute( 'href' ) );
+			const href = linkElement && linkElement.getAttribute( 'href' );
+
+			if ( href && href.startsWith( '#' ) ) {
+				data.preventDefault();
+				evt.stop();
+
+				this._followAnchorLink( href );
+			}
+		}, { priority: 'high' } );
+
+		// The Enter key is handled by the `enter` event, so Alt+Enter cannot be set as a keystroke without breaking the block first.
+		this.listenTo( editor.editing.view.document, 'enter', ( evt, data ) => {
+			if ( !data.domEvent.altKey ) {
+				return;
+			}
+
+			const selectedElement = selection.getSelectedElement();
+			const href = selectedElement ? selectedElement.getAttribute( 'linkHref' ) : selection.getAttribute( 'linkHref' );
+
+			if ( typeof href == 'string' && href.startsWith( '#' ) ) {
+				data.preventDefault();
+				evt.stop();
+
+				this._followAnchorLink( href );
+			}
+		}, { priority: 'high' } );
+	}
+
+	/**
+	 * Moves the selection to the anchor the `href` points at or shows a warning if the anchor does not exist.
+	 *
+	 * @private
+	 * @param {String} href The fragment link, e.g. `'#install'`.
+	 * @returns {Boolean} Whether the anchor was found.
+	 */
+	_followAnchorLink( href ) {
+		const editor = this.editor;
+		const t = editor.t;
+		const ids = getAnchorIdsFromHref( href, editor.config.get( 'anchor.idPrefix' ) );
+
+		if ( ids.some( id => editor.execute( 'goToAnchor', id ) ) ) {
+			return true;
+		}
+
+		editor.plugins.get( Notification ).showWarning( t( 'The "%0" anchor does not exist', [ href.slice( 1 ) ] ), {
+			namespace: 'anchor'
+		} );
+
+		return false;
+	}
+
 	/**
 	 * Adds the {@link #actionsView} to the {@link #_balloon}.
 	 *
@@ -295,12 +526,31 @@ export default class AnchorUI extends Plugin {
 			return;
 		}
 
+		this._updateActionsViewLinks();
+
+		// The confirmation of the link copied the last time the actions were displayed is not relevant anymore.
+		clearTimeout( this._linkCopiedTimeoutId );
+		this.actionsView.isLinkCopied = false;
+
 		this._balloon.add( {
 			view: this.actionsView,
 			position: this._getBalloonPositionData()
 		} );
 	}
 
+	/**
+	 * Updates the list of links pointing at the selected anchor displayed in the {@link #actionsView}.
+	 *
+	 * @private
+	 */
+	_updateActionsViewLinks() {
+		const editor = this.editor;
+		const id = editor.commands.get( 'anchor' ).value;
+		const links = id ? findAnchorLinks( editor.model, id, editor.config.get( 'anchor.idPrefix' ) ) : [];
+
+		this.actionsView.links = links.map( getLinkLabel );
+	}
+
 	/**
 	 * Adds the {@link #formView} to the {@link #_balloon}.
 	 *
@@ -334,7 +584,91 @@ export default class AnchorUI extends Plugin {
 		// clicked the same anchor), they would see the old value instead of the actual value of the command.
 		// https://github.com/ckeditor/ckeditor5-anchor/issues/78
 		// https://github.com/ckeditor/ckeditor5-anchor/issues/123
-		this.formView.urlInputView.fieldView.element.value = anchorCommand.value || '';
+		this.formView.urlInputView.fieldView.element.value = anchorCommand.value || this._getSuggestedId();
+
+		// Do not complain about the empty name before the user typed anything.
+		this._validateForm( { isInitial: true } );
+
+		// The generated ID was set after the input was selected, so it should be selected again to be easily replaced.
+		if ( !anchorCommand.value && this._balloon.visibleView === this.formView ) {
+			this.formView.urlInputView.fieldView.select();
+		}
+
+		// Offer updating the links pointing at the anchor when it gets renamed.
+		this.formView.linkCount = anchorCommand.value ?
+			findAnchorLinks( editor.model, anchorCommand.value, editor.config.get( 'anchor.idPrefix' ) ).length : 0;
+		this.formView.updateLinksSwitchView.isOn = true;
+	}
+
+	/**
+	 * Returns the anchor ID generated from the selected text according to the
+	 * {@link module:anchor/anchor~AnchorConfig#slugify `config.anchor.slugify`} configuration. The ID is normalized according to
+	 * the {@link module:anchor/anchor~AnchorConfig#idPolicy ID policy}, it is unique in the document and it is not reserved.
+	 *
+	 * @private
+	 * @returns {String} The generated ID or an empty string if the selection is collapsed.
+	 */
+	_getSuggestedId() {
+		const editor = this.editor;
+		const selection = editor.model.document.selection;
+
+		if ( selection.isCollapsed ) {
+			return '';
+		}
+
+		const text = Array.from( selection.getRanges() ).map( getRangeText ).join( ' ' );
+
+		// The strategy may be a function, so it must be read from the parent object (functions are not cloned by the config).
+		const { strategy, maxLength } = editor.config.get( 'anchor.slugify' );
+
+		return generateAnchorId( text, {
+			strategy,
+			maxLength,
+			idPolicy: editor.config.get( 'anchor.idPolicy' ),
+			reservedIds: editor.config.get( 'anchor.reservedIds' ),
+			usedIds: new Set( editor.plugins.get( AnchorRegistry ).anchors.map( anchor => anchor.id ) )
+		} );
+	}
+
+	/**
+	 * Validates the anchor name typed in the {@link #formView} and displays the error and the suggested name, if needed.
+	 * A name is not valid if it is empty, it is rejected by the {@link module:anchor/anchor~AnchorConfig#idPolicy ID policy},
+	 * it is {@link module:anchor/anchor~AnchorConfig#reservedIds reserved} or it is used by another anchor in the document.
+	 *
+	 * @private
+	 * @param {Object} [options]
+	 * @param {Boolean} [options.isInitial=false] Whether the form has just been opened. The error of an empty name is not
+	 * displayed then, but the form is still not valid.
+	 * @returns {Boolean} Whether the name is valid.
+	 */
+	_validateForm( { isInitial = false } = {} ) {
+		const editor = this.editor;
+		const formView = this.formView;
+		const idPolicy = editor.config.get( 'anchor.idPolicy' );
+		const reservedIds = editor.config.get( 'anchor.reservedIds' );
+		const { value } = formView.urlInputView.fieldView.element;
+
+		// The edited anchor can keep its name.
+		const usedIds = new Set( editor.plugins.get( AnchorRegistry ).anchors.map( anchor => anchor.id ) );
+
+		usedIds.delete( editor.commands.get( 'anchor' ).value );
+
+		const reason = validateAnchorId( value, { idPolicy, reservedIds, usedIds } );
+
+		formView.isValid = !reason;
+		formView.urlInputView.errorText = reason && !( isInitial && reason == 'empty' ) ?
+			getLocalizedValidationMessage( editor.t, reason ) :
+			null;
+
+		if ( reason == 'duplicate' ) {
+			const suggestion = getUniqueAnchorId( normalizeAnchorId( value, idPolicy ), usedIds );
+
+			formView.suggestion = isReservedAnchorId( suggestion, reservedIds ) ? null : suggestion;
+		} else {
+			formView.suggestion = null;
+		}
+
+		return !reason;
 	}
 
 	/**
@@ -618,15 +952,24 @@ export default class AnchorUI extends Plugin {
 	 * **Note**: For a non–collapsed selection, the anchor element is only returned when **fully**
 	 * selected and the **only** element within the selection boundaries.
 	 *
+	 * **Note**: When a point anchor is selected, its widget {@link module:engine/view/containerelement~ContainerElement}
+	 * is returned. When the selection is collapsed inside an anchored block (and not inside the anchor text), the view element
+	 * of that block is returned.
+	 *
 	 * @private
-	 * @returns {module:engine/view/attributeelement~AttributeElement|null}
+	 * @returns {module:engine/view/attributeelement~AttributeElement|module:engine/view/containerelement~ContainerElement|null}
 	 */
 	_getSelectedAnchorElement() {
 		const view = this.editor.editing.view;
 		const selection = view.document.selection;
+		const selectedElement = selection.getSelectedElement();
+
+		if ( selectedElement && isPointAnchorElement( selectedElement ) ) {
+			return selectedElement;
+		}
 
 		if ( selection.isCollapsed ) {
-			return findAnchorElementAncestor( selection.getFirstPosition() );
+			return findAnchorElementAncestor( selection.getFirstPosition() ) || this._getSelectedBlockAnchorElement();
 		} else {
 			// The range for fully selected anchor is usually anchored in adjacent text nodes.
 			// Trim it to get closer to the actual anchor element.
@@ -647,6 +990,47 @@ export default class AnchorUI extends Plugin {
 		}
 	}
 
+	/**
+	 * Returns `true` when the {@link module:link/linkui~LinkUI link UI} is loaded and the collapsed selection
+	 * is inside a link, i.e. the link balloon is going to be displayed on click.
+	 *
+	 * @private
+	 * @returns {Boolean}
+	 */
+	_isLinkSelected() {
+		const selection = this.editor.editing.view.document.selection;
+
+		if ( !this.editor.plugins.has( 'LinkUI' ) || !selection.isCollapsed ) {
+			return false;
+		}
+
+		return selection.getFirstPosition().getAncestors().some( ancestor => isLinkElement( ancestor ) );
+	}
+
+	/**
+	 * Returns the view element of the anchored block containing the collapsed model selection or `null`
+	 * if there is none. See {@link module:anchor/anchor~AnchorConfig#blockElements}.
+	 *
+	 * @private
+	 * @returns {module:engine/view/containerelement~ContainerElement|null}
+	 */
+	_getSelectedBlockAnchorElement() {
+		const editor = this.editor;
+		const selection = editor.model.document.selection;
+
+		if ( !selection.isCollapsed || selection.hasAttribute( 'anchorId' ) ) {
+			return null;
+		}
+
+		const blockAnchorElement = findBlockAnchorElement( selection.getFirstPosition(), editor.model.schema );
+
+		if ( !blockAnchorElement || !blockAnchorElement.hasAttribute( 'anchorId' ) ) {
+			return null;
+		}
+
+		return editor.editing.mapper.toViewElement( blockAnchorElement ) || null;
+	}
+
 	/**
 	 * Displays a fake visual selection when the contextual balloon is displayed.
 	 *
@@ -731,3 +1115,16 @@ function getNextValidRange( range, focus, writer ) {
 
 	return nextRange;
 }
+
+// Returns the label of a link displayed in the anchor actions: the linked text or, for a linked element (e.g. an image),
+// its alternative text or the link URL.
+//
+// @param {Object} link A link found by `findAnchorLinks()`.
+// @returns {String}
+function getLinkLabel( { href, range, element } ) {
+	if ( element ) {
+		return element.getAttribute( 'alt' ) || href;
+	}
+
+	return getRangeText( range );
+}
@@ -10,49 +10,26 @@
 import Plugin from '@ckeditor/ckeditor5-core/src/plugin';
 import TextWatcher from '@ckeditor/ckeditor5-typing/src/textwatcher';
 import getLastTextLine from '@ckeditor/ckeditor5-typing/src/utils/getlasttextline';
-import { addAnchorProtocolIfApplicable } from './utils';
-
-const MIN_LINK_LENGTH_WITH_SPACE_AT_END = 4; // Ie: "t.co " (length 5).
-
-// This was a tweak from https://gist.github.com/dperini/729294.
-const URL_REG_EXP = new RegExp(
-	// Group 1: Line start or after a space.
-	'(^|\\s)' +
-	// Group 2: Detected URL (or e-mail).
-	'(' +
-		// Protocol identifier or short syntax "//"
-		// a. Full form http://user@foo.bar.baz:8080/foo/bar.html#baz?foo=bar
-		'(' +
-			'(?:(?:(?:https?|ftp):)?\\/\\/)' +
-			// BasicAuth using user:pass (optional)
-			'(?:\\S+(?::\\S*)?@)?' +
-			'(?:' +
-				// Host & domain names.
-				'(?![-_])(?:[-\\w\\u00a1-\\uffff]{0,63}[^-_]\\.)+' +
-				// TLD identifier name.
-				'(?:[a-z\\u00a1-\\uffff]{2,})' +
-			')' +
-			// port number (optional)
-			'(?::\\d{2,5})?' +
-			// resource path (optional)
-			'(?:[/?#]\\S*)?' +
-		')' +
-		'|' +
-		// b. Short form (either www.example.com or example@example.com)
-		'(' +
-			'(www.|(\\S+@))' +
-			// Host & domain names.
-			'((?![-_])(?:[-\\w\\u00a1-\\uffff]{0,63}[^-_]\\.))+' +
-	// TLD identifier name.
-	'(?:[a-z\\u00a1-\\uffff]{2,})' +
-	')' +
-	')$', 'i' );
-
-const URL_GROUP_IN_MATCH = 2;
+import CKEditorError from '@ckeditor/ckeditor5-utils/src/ckeditorerror';
+import AnchorEditing from './anchorediting';
+import { isReservedAnchorId, normalizeAnchorId } from './utils';
+
+// Matches the `word{#id}` and `[some text]{#id}` syntax.
+const ANCHOR_ID_SYNTAX_REG_EXP = /(?:\[([^\][\n]+)\]|([^\s[\]{}]+))\{#([^\s{}]+)\}/;
 
 /**
  * The autoanchor plugin.
  *
+ * It turns the text matching one of the registered patterns into an anchor when the text is typed (on <kbd>Space</kbd>,
+ * <kbd>Enter</kbd> and <kbd>Shift</kbd>+<kbd>Enter</kbd>) or pasted. The built-in `'anchorId'` pattern anchors
+ * the preceding word or, when the text is put in square brackets, the whole phrase and removes the syntax:
+ *
+ *		Getting started{#start}          -> "Getting started" with "started" anchored as `start`
+ *		[Getting started]{#start}        -> "Getting started" anchored as `start`
+ *
+ * More patterns can be registered with {@link #registerPattern}. The feature is disabled in the
+ * {@link module:anchor/anchor~AnchorAutoAnchorConfig#disabledElements `config.anchor.autoAnchor.disabledElements`}.
+ *
  * @extends module:core/plugin~Plugin
  */
 export default class AutoAnchor extends Plugin {
@@ -63,6 +40,33 @@ export default class AutoAnchor extends Plugin {
 		return 'AutoAnchor';
 	}
 
+	/**
+	 * @inheritDoc
+	 */
+	static get requires() {
+		return [ AnchorEditing ];
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	constructor( editor ) {
+		super( editor );
+
+		/**
+		 * The registered patterns by their names, in the order of checking.
+		 *
+		 * @private
+		 * @member {Map.<String,module:anchor/autoanchor~AutoAnchorPattern>}
+		 */
+		this._patterns = new Map();
+
+		this.registerPattern( 'anchorId', {
+			regExp: ANCHOR_ID_SYNTAX_REG_EXP,
+			callback: anchorIdSyntaxCallback
+		} );
+	}
+
 	/**
 	 * @inheritDoc
 	 */
@@ -71,8 +75,8 @@ export default class AutoAnchor extends Plugin {
 		const selection = editor.model.document.selection;
 
 		selection.on( 'change:range', () => {
-			// Disable plugin when selection is inside a code block.
-			this.isEnabled = !selection.anchor.parent.is( 'element', 'codeBlock' );
+			// Disable plugin when selection is inside one of the disabled elements.
+			this.isEnabled = !this._isDisabledAt( selection.anchor );
 		} );
 
 		this._enableTypingHandling();
@@ -84,6 +88,54 @@ export default class AutoAnchor extends Plugin {
 	afterInit() {
 		this._enableEnterHandling();
 		this._enableShiftEnterHandling();
+		this._enablePasteHandling();
+	}
+
+	/**
+	 * Registers the pattern turning the matching text into an anchor. A pattern registered under an existing name replaces
+	 * the previous one, so the built-in `'anchorId'` pattern can be replaced too. For instance, the following pattern turns
+	 * `§intro` into the anchor `intro` over the text `§`:
+	 *
+	 *		editor.plugins.get( 'AutoAnchor' ).registerPattern( 'section', {
+	 *			regExp: /§([a-z-]+)/,
+	 *			callback: match => ( {
+	 *				id: match[ 1 ],
+	 *				anchor: [ 0, 1 ],
+	 *				remove: [ [ 1, match[ 0 ].length ] ]
+	 *			} )
+	 *		} );
+	 *
+	 * @param {String} name
+	 * @param {module:anchor/autoanchor~AutoAnchorPattern} pattern
+	 */
+	registerPattern( name, { regExp, callback } ) {
+		if ( !( regExp instanceof RegExp ) || typeof callback != 'function' ) {
+			/**
+			 * The autoanchor pattern must have the `regExp` and the `callback` properties.
+			 *
+			 * @error autoanchor-invalid-pattern
+			 * @param {String} name The name of the pattern.
+			 */
+			throw new CKEditorError( 'autoanchor-invalid-pattern', this, { name } );
+		}
+
+		const flags = regExp.flags.replace( /[gy]/g, '' );
+
+		this._patterns.set( name, {
+			// Typing checks only the text before the caret, while the pasted text can contain many matches anywhere.
+			textEndRegExp: new RegExp( `(?:${ regExp.source })$`, flags ),
+			globalRegExp: new RegExp( regExp.source, flags + 'g' ),
+			callback
+		} );
+	}
+
+	/**
+	 * Removes the registered pattern.
+	 *
+	 * @param {String} name
+	 */
+	removePattern( name ) {
+		this._patterns.delete( name );
 	}
 
 	/**
@@ -101,28 +153,23 @@ export default class AutoAnchor extends Plugin {
 			}
 
 			// 2. Check text before last typed <kbd>Space</kbd>.
-			const url = getUrlAtTextEnd( text.substr( 0, text.length - 1 ) );
+			const match = this._findMatchAtTextEnd( text.substr( 0, text.length - 1 ) );
 
-			if ( url ) {
-				return { url };
+			if ( match ) {
+				return { match };
 			}
 		} );
 
 		const input = editor.plugins.get( 'Input' );
 
 		watcher.on( 'matched:data', ( evt, data ) => {
-			const { batch, range, url } = data;
+			const { batch, range, match } = data;
 
 			if ( !input.isInput( batch ) ) {
 				return;
 			}
 
-			const anchorEnd = range.end.getShiftedBy( -1 ); // Executed after a space character.
-			const anchorStart = anchorEnd.getShiftedBy( -url.length );
-
-			const anchorRange = editor.model.createRange( anchorStart, anchorEnd );
-
-			this._applyAutoAnchor( url, anchorRange );
+			this._applyAutoAnchors( this._createAutoAnchors( [ match ], range.start ) );
 		} );
 
 		watcher.bind( 'isEnabled' ).to( this );
@@ -183,7 +230,52 @@ export default class AutoAnchor extends Plugin {
 	}
 
 	/**
-	 * Checks if the passed range contains a anchorable text.
+	 * Enables autoanchoring of the pasted (or dropped) content.
+	 *
+	 * @private
+	 */
+	_enablePasteHandling() {
+		const editor = this.editor;
+		const model = editor.model;
+
+		if ( !editor.plugins.has( 'Clipboard' ) ) {
+			return;
+		}
+
+		// The clipboard feature inserts the content in its `inputTransformation` listener, so the range of the inserted content
+		// is taken from the `model.insertContent()` call made meanwhile.
+		let isPasting = false;
+
+		this.listenTo( editor.plugins.get( 'Clipboard' ), 'inputTransformation', () => {
+			isPasting = true;
+		}, { priority: 'highest' } );
+
+		// The event is not stopped when nothing was inserted.
+		this.listenTo( editor.editing.view.document, 'clipboardInput', () => {
+			isPasting = false;
+		}, { priority: 'lowest' } );
+
+		this.listenTo( model, 'insertContent', evt => {
+			if ( !isPasting ) {
+				return;
+			}
+
+			isPasting = false;
+
+			const autoAnchors = [];
+
+			for ( const range of getTextRanges( evt.return, model ) ) {
+				const text = Array.from( range.getItems() ).map( item => item.data ).join( '' );
+
+				autoAnchors.push( ...this._createAutoAnchors( this._findMatches( text ), range.start ) );
+			}
+
+			this._applyAutoAnchors( autoAnchors );
+		}, { priority: 'low' } );
+	}
+
+	/**
+	 * Checks if the passed range ends with an anchorable text.
 	 *
 	 * @param {module:engine/model/range~Range} rangeToCheck
 	 * @private
@@ -192,50 +284,244 @@ export default class AutoAnchor extends Plugin {
 		const model = this.editor.model;
 		const { text, range } = getLastTextLine( rangeToCheck, model );
 
-		const url = getUrlAtTextEnd( text );
+		const match = this._findMatchAtTextEnd( text );
 
-		if ( url ) {
-			const anchorRange = model.createRange(
-				range.end.getShiftedBy( -url.length ),
-				range.end
-			);
+		if ( match ) {
+			this._applyAutoAnchors( this._createAutoAnchors( [ match ], range.start ) );
+		}
+	}
+
+	/**
+	 * Returns the match of the first pattern matching the end of the text.
+	 *
+	 * @private
+	 * @param {String} text
+	 * @returns {module:anchor/autoanchor~AutoAnchorMatch|null}
+	 */
+	_findMatchAtTextEnd( text ) {
+		for ( const { textEndRegExp, callback } of this._patterns.values() ) {
+			const match = textEndRegExp.exec( text );
+			const result = match && normalizeMatch( callback( match ), match.index );
 
-			this._applyAutoAnchor( url, anchorRange );
+			if ( result ) {
+				return result;
+			}
 		}
+
+		return null;
 	}
 
 	/**
-	 * Applies a anchor on a given range.
+	 * Returns the matches of all patterns in the text, in the text order. A match overlapping an earlier one
+	 * (or one of an earlier pattern) is skipped.
 	 *
-	 * @param {String} url The URL to anchor.
-	 * @param {module:engine/model/range~Range} range The text range to apply the anchor attribute to.
 	 * @private
+	 * @param {String} text
+	 * @returns {Array.<module:anchor/autoanchor~AutoAnchorMatch>}
 	 */
-	_applyAutoAnchor( anchor, range ) {
-		const model = this.editor.model;
+	_findMatches( text ) {
+		const results = [];
+
+		for ( const { globalRegExp, callback } of this._patterns.values() ) {
+			for ( const match of execAll( globalRegExp, text ) ) {
+				const result = normalizeMatch( callback( match ), match.index );
+
+				if ( result && !results.some( other => other.start < result.end && result.start < other.end ) ) {
+					results.push( result );
+				}
+			}
+		}
+
+		return results.sort( ( a, b ) => a.start - b.start );
+	}
+
+	/**
+	 * Returns the anchors to create for the valid matches found in the text starting at the given position.
+	 *
+	 * @private
+	 * @param {Array.<module:anchor/autoanchor~AutoAnchorMatch>} matches
+	 * @param {module:engine/model/position~Position} textStart The position of the beginning of the text.
+	 * @returns {Array.<Object>} An array of `{ id, range, removeRanges }` objects.
+	 */
+	_createAutoAnchors( matches, textStart ) {
+		const editor = this.editor;
+		const model = editor.model;
+		const idPolicy = editor.config.get( 'anchor.idPolicy' );
+		const reservedIds = editor.config.get( 'anchor.reservedIds' );
+
+		const createRange = ( [ start, end ] ) => model.createRange( textStart.getShiftedBy( start ), textStart.getShiftedBy( end ) );
+
+		return matches
+			.map( match => ( {
+				id: normalizeAnchorId( match.id, idPolicy ),
+				range: createRange( match.anchor ),
+				removeRanges: match.remove.map( createRange )
+			} ) )
+			.filter( ( { id, range } ) => id !== null && !isReservedAnchorId( id, reservedIds ) && this.isEnabled &&
+				!this._isDisabledAt( range.start ) && isAnchorAllowedOnRange( range, model ) );
+	}
 
-		if ( !this.isEnabled || !isAnchorAllowedOnRange( range, model ) ) {
+	/**
+	 * Applies the anchors and removes their syntax in a single undo step.
+	 *
+	 * @private
+	 * @param {Array.<Object>} autoAnchors The `{ id, range, removeRanges }` objects in the document order.
+	 */
+	_applyAutoAnchors( autoAnchors ) {
+		if ( !autoAnchors.length ) {
 			return;
 		}
 
 		// Enqueue change to make undo step.
-		model.enqueueChange( writer => {
-			const defaultProtocol = this.editor.config.get( 'anchor.defaultProtocol' );
-			const parsedUrl = addAnchorProtocolIfApplicable( anchor, defaultProtocol );
-			writer.setAttribute( 'anchorId', parsedUrl, range );
+		this.editor.model.enqueueChange( writer => {
+			// The anchors are applied from the end, so removing the syntax does not move the ranges which are not applied yet.
+			for ( const { id, range, removeRanges } of autoAnchors.slice().reverse() ) {
+				writer.setAttribute( 'anchorId', id, range );
+
+				for ( const removeRange of removeRanges.slice().sort( ( a, b ) => a.start.isAfter( b.start ) ? -1 : 1 ) ) {
+					writer.remove( removeRange );
+				}
+			}
 		} );
 	}
+
+	/**
+	 * Returns `true` if the position is inside one of the
+	 * {@link module:anchor/anchor~AnchorAutoAnchorConfig#disabledElements disabled elements}.
+	 *
+	 * @private
+	 * @param {module:engine/model/position~Position} position
+	 * @returns {Boolean}
+	 */
+	_isDisabledAt( position ) {
+		const disabledElements = this.editor.config.get( 'anchor.autoAnchor.disabledElements' );
+
+		return position.getAncestors().some( ancestor => ancestor.is( 'element' ) && disabledElements.includes( ancestor.name ) );
+	}
 }
 
-// Check if text should be evaluated by the plugin in order to reduce number of RegExp checks on whole text.
-function isSingleSpaceAtTheEnd( text ) {
-	return text.length > MIN_LINK_LENGTH_WITH_SPACE_AT_END && text[ text.length - 1 ] === ' ' && text[ text.length - 2 ] !== ' ';
+/**
+ * The pattern registered in the {@link module:anchor/autoanchor~AutoAnchor autoanchor feature}.
+ *
+ * @typedef {Object} module:anchor/autoanchor~AutoAnchorPattern
+ * @property {RegExp} regExp The regular expression matching the syntax. It should not be anchored with `^` or `$`, the text
+ * is matched at the caret when typing and everywhere when pasting.
+ * @property {Function} callback The function receiving the `RegExp#exec()` result and returning the
+ * {@link module:anchor/autoanchor~AutoAnchorMatch} with the offsets in the matched text, or `null` to ignore the match.
+ */
+
+/**
+ * The anchor found by a {@link module:anchor/autoanchor~AutoAnchorPattern pattern}.
+ *
+ * @typedef {Object} module:anchor/autoanchor~AutoAnchorMatch
+ * @property {String} id The anchor ID. It is normalized according to
+ * {@link module:anchor/anchor~AnchorConfig#idPolicy `config.anchor.idPolicy`}.
+ * @property {Array.<Number>} anchor The start and end offsets of the anchored text.
+ * @property {Array.<Array.<Number>>} [remove] The start and end offsets of the text to remove, like the syntax characters.
+ */
+
+// The callback of the built-in `word{#id}` and `[some text]{#id}` pattern.
+//
+// @param {Array.<String>} match
+// @returns {module:anchor/autoanchor~AutoAnchorMatch}
+function anchorIdSyntaxCallback( match ) {
+	const [ syntax, phrase, word, id ] = match;
+
+	if ( phrase ) {
+		return {
+			id,
+			anchor: [ 1, phrase.length + 1 ],
+			remove: [ [ 0, 1 ], [ phrase.length + 1, syntax.length ] ]
+		};
+	}
+
+	return {
+		id,
+		anchor: [ 0, word.length ],
+		remove: [ [ word.length, syntax.length ] ]
+	};
+}
+
+// Shifts the offsets of the match returned by the pattern callback from the matched text to the whole text and adds
+// the `start` and `end` offsets of the whole match. Returns `null` if the callback did not return a match.
+//
+// @param {module:anchor/autoanchor~AutoAnchorMatch|null} match
+// @param {Number} index The offset of the matched text.
+// @returns {Object|null}
+function normalizeMatch( match, index ) {
+	if ( !match || !match.anchor ) {
+		return null;
+	}
+
+	const anchor = match.anchor.map( offset => offset + index );
+	const remove = ( match.remove || [] ).map( offsets => offsets.map( offset => offset + index ) );
+	const offsets = [ anchor, ...remove ].reduce( ( allOffsets, offsets ) => allOffsets.concat( offsets ), [] );
+
+	return {
+		id: match.id,
+		anchor,
+		remove,
+		start: Math.min( ...offsets ),
+		end: Math.max( ...offsets )
+	};
 }
 
-function getUrlAtTextEnd( text ) {
-	const match = URL_REG_EXP.exec( text );
+// Returns all matches of the global regular expression in the text.
+//
+// @param {RegExp} regExp
+// @param {String} text
+// @returns {Array.<Array.<String>>}
+function execAll( regExp, text ) {
+	const matches = [];
+	let match;
+
+	regExp.lastIndex = 0;
 
-	return match ? match[ URL_GROUP_IN_MATCH ] : null;
+	while ( ( match = regExp.exec( text ) ) ) {
+		matches.push( match );
+
+		// Do not loop infinitely on empty matches.
+		if ( !match[ 0 ] ) {
+			regExp.lastIndex++;
+		}
+	}
+
+	return matches;
+}
+
+// Returns the ranges of continuous text in the range, so the patterns are not matched across the elements.
+//
+// @param {module:engine/model/range~Range} range
+// @param {module:engine/model/model~Model} model
+// @returns {Array.<module:engine/model/range~Range>}
+function getTextRanges( range, model ) {
+	const ranges = [];
+	let start = null;
+	let end = null;
+
+	for ( const item of range.getItems() ) {
+		if ( item.is( '$textProxy' ) && end && end.isEqual( model.createPositionBefore( item ) ) ) {
+			end = model.createPositionAfter( item );
+		} else if ( item.is( '$textProxy' ) ) {
+			if ( start ) {
+				ranges.push( model.createRange( start, end ) );
+			}
+
+			start = model.createPositionBefore( item );
+			end = model.createPositionAfter( item );
+		}
+	}
+
+	if ( start ) {
+		ranges.push( model.createRange( start, end ) );
+	}
+
+	return ranges;
+}
+
+// Check if text should be evaluated by the plugin in order to reduce number of RegExp checks on whole text.
+function isSingleSpaceAtTheEnd( text ) {
+	return text.length > 1 && text[ text.length - 1 ] === ' ' && text[ text.length - 2 ] !== ' ';
 }
 
 function isAnchorAllowedOnRange( range, model ) {
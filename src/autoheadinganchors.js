@@ -0,0 +1,261 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module anchor/autoheadinganchors
+ */
+
+import Plugin from '@ckeditor/ckeditor5-core/src/plugin';
+import AnchorEditing from './anchorediting';
+import GenerateHeadingAnchorsCommand from './generateheadinganchorscommand';
+import { findAnchors, generateAnchorId, getRangeText } from './utils';
+
+/**
+ * The automatic heading anchors feature.
+ *
+ * It gives every heading (see {@link module:anchor/anchor~AnchorConfig#headingAnchors `config.anchor.headingAnchors`})
+ * an anchor with the ID generated from the heading text, for instance, `getting-started` for "Getting started".
+ * The IDs are generated like the IDs suggested in the anchor form (see {@link module:anchor/anchor~AnchorConfig#slugify
+ * `config.anchor.slugify`}) and a numeric suffix is added to the IDs used by other anchors.
+ *
+ * The ID follows the heading text while it is edited, as long as it is the ID generated from the text. Once an author
+ * renames the anchor, the ID is pinned and it does not change anymore. Removing the anchor of a heading is not permanent:
+ * the anchor is generated again when the heading text changes.
+ *
+ * Loading the data does not change it, so the headings of existing documents get their anchors when edited or all at once
+ * with the `'generateHeadingAnchors'` command introduced by this feature.
+ *
+ * The heading anchors are block anchors, so the headings are added to the
+ * {@link module:anchor/anchor~AnchorConfig#blockElements `config.anchor.blockElements`}.
+ *
+ * @extends module:core/plugin~Plugin
+ */
+export default class AutoHeadingAnchors extends Plugin {
+	/**
+	 * @inheritDoc
+	 */
+	static get pluginName() {
+		return 'AutoHeadingAnchors';
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	static get requires() {
+		return [ AnchorEditing ];
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	constructor( editor ) {
+		super( editor );
+
+		// The anchor editing feature reads the block elements when it is initialized, so they must be configured earlier.
+		const blockElements = editor.config.get( 'anchor.blockElements' );
+		const headingElements = editor.config.get( 'anchor.headingAnchors.elements' );
+
+		editor.config.set( 'anchor.blockElements', Array.from( new Set( [ ...blockElements, ...headingElements ] ) ) );
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	init() {
+		const editor = this.editor;
+
+		/**
+		 * The names of the heading elements.
+		 *
+		 * @readonly
+		 * @member {Array.<String>}
+		 */
+		this.headingElements = editor.config.get( 'anchor.headingAnchors.elements' );
+
+		/**
+		 * The text of each heading after the last change, used to tell whether the anchor ID was generated from the text.
+		 *
+		 * @private
+		 * @member {WeakMap.<module:engine/model/element~Element,String>}
+		 */
+		this._headingTexts = new WeakMap();
+
+		editor.commands.add( 'generateHeadingAnchors', new GenerateHeadingAnchorsCommand( editor ) );
+
+		editor.model.document.registerPostFixer( writer => this._updateHeadingAnchors( writer ) );
+	}
+
+	/**
+	 * Returns `true` if the given model element is a heading.
+	 *
+	 * @param {module:engine/model/node~Node} node
+	 * @returns {Boolean}
+	 */
+	isHeading( node ) {
+		return !!node && node.is( 'element' ) && this.headingElements.includes( node.name ) &&
+			this.editor.model.schema.checkAttribute( node, 'anchorId' );
+	}
+
+	/**
+	 * Generates the anchor ID from the heading text (see {@link module:anchor/utils~generateAnchorId `generateAnchorId()`}).
+	 *
+	 * @param {String} text
+	 * @param {Set.<String>} usedIds The IDs of other anchors in the document. A numeric suffix is added to the generated ID
+	 * if it is used or reserved (see {@link module:anchor/anchor~AnchorConfig#reservedIds `config.anchor.reservedIds`}).
+	 * @returns {String} The ID or an empty string if no ID could be generated from the text.
+	 */
+	generateId( text, usedIds ) {
+		const config = this.editor.config;
+		// The strategy may be a function, so it must be read from the parent object (functions are not cloned by the config).
+		const { strategy, maxLength } = config.get( 'anchor.slugify' );
+
+		return generateAnchorId( text, {
+			strategy,
+			maxLength,
+			idPolicy: config.get( 'anchor.idPolicy' ),
+			reservedIds: config.get( 'anchor.reservedIds' ),
+			usedIds
+		} );
+	}
+
+	/**
+	 * Returns `true` if the ID could have been {@link #generateId generated} from the text, including the numeric suffix.
+	 *
+	 * @param {String} id
+	 * @param {String} text
+	 * @returns {Boolean}
+	 */
+	isGeneratedId( id, text ) {
+		const generatedId = this.generateId( text, new Set() );
+
+		if ( !generatedId || !id.startsWith( generatedId ) ) {
+			return false;
+		}
+
+		return id === generatedId || /^-\d+$/.test( id.slice( generatedId.length ) );
+	}
+
+	/**
+	 * Generates or updates the anchors of the headings changed by the current change.
+	 *
+	 * @private
+	 * @param {module:engine/model/writer~Writer} writer
+	 * @returns {Boolean} Whether any anchor was changed.
+	 */
+	_updateHeadingAnchors( writer ) {
+		const model = this.editor.model;
+		// Loading the data (or a remote change) does not change the anchors, the texts of the loaded headings are just remembered.
+		const isTransparent = writer.batch.type == 'transparent';
+		const headings = this._getChangedHeadings();
+		// The texts before the change are kept aside, so a split heading can be compared with the text of the original heading.
+		const previousTexts = new Map( Array.from( headings, heading => [ heading, this._headingTexts.get( heading ) ] ) );
+		let usedIds = null;
+		let wasChanged = false;
+
+		for ( const heading of headings ) {
+			const text = getRangeText( model.createRangeIn( heading ) );
+			const previousText = previousTexts.get( heading );
+			const id = heading.getAttribute( 'anchorId' );
+
+			this._headingTexts.set( heading, text );
+
+			if ( isTransparent || text === previousText ) {
+				continue;
+			}
+
+			// Splitting a heading copies its ID to the new heading. The copy is not pinned, so it is generated from the text again.
+			const isSplitCopy = previousText === undefined && this._isSplitOff( heading, text, previousTexts );
+
+			// The ID is pinned when it was not generated from the text.
+			if ( !isSplitCopy && id !== undefined && ( previousText === undefined || !this.isGeneratedId( id, previousText ) ) ) {
+				continue;
+			}
+
+			if ( id !== undefined && this.isGeneratedId( id, text ) ) {
+				continue;
+			}
+
+			if ( !usedIds ) {
+				usedIds = new Set( findAnchors( model ).map( anchor => anchor.id ) );
+			}
+
+			const otherIds = new Set( usedIds );
+
+			otherIds.delete( id );
+
+			const newId = this.generateId( text, otherIds );
+
+			if ( newId ) {
+				usedIds.add( newId );
+				writer.setAttribute( 'anchorId', newId, heading );
+			} else if ( id !== undefined ) {
+				writer.removeAttribute( 'anchorId', heading );
+			} else {
+				continue;
+			}
+
+			wasChanged = true;
+		}
+
+		return wasChanged;
+	}
+
+	/**
+	 * Checks whether the heading was inserted by splitting the heading before it, i.e. the text of the previous heading
+	 * before the change consisted of its current text and the text of the given heading.
+	 *
+	 * @private
+	 * @param {module:engine/model/element~Element} heading
+	 * @param {String} text The text of the heading.
+	 * @param {Map.<module:engine/model/element~Element,String>} previousTexts The texts of the changed headings before the change.
+	 * @returns {Boolean}
+	 */
+	_isSplitOff( heading, text, previousTexts ) {
+		const original = heading.previousSibling;
+
+		if ( !original || original.name != heading.name ) {
+			return false;
+		}
+
+		const originalText = previousTexts.has( original ) ? previousTexts.get( original ) : this._headingTexts.get( original );
+
+		return originalText !== undefined && originalText === getRangeText( this.editor.model.createRangeIn( original ) ) + text;
+	}
+
+	/**
+	 * Returns the headings inserted by the current change or whose content was changed.
+	 *
+	 * @private
+	 * @returns {Set.<module:engine/model/element~Element>}
+	 */
+	_getChangedHeadings() {
+		const model = this.editor.model;
+		const headings = new Set();
+
+		for ( const change of model.document.differ.getChanges() ) {
+			if ( change.type == 'attribute' ) {
+				continue;
+			}
+
+			const heading = change.position.parent.getAncestors( { includeSelf: true } ).find( node => this.isHeading( node ) );
+
+			if ( heading ) {
+				headings.add( heading );
+			}
+
+			if ( change.type == 'insert' && change.name != '$text' && change.position.nodeAfter ) {
+				const insertedElement = change.position.nodeAfter;
+
+				for ( const node of [ insertedElement, ...model.createRangeIn( insertedElement ).getItems() ] ) {
+					if ( this.isHeading( node ) ) {
+						headings.add( node );
+					}
+				}
+			}
+		}
+
+		return new Set( Array.from( headings ).filter( heading => heading.root.rootName != '$graveyard' ) );
+	}
+}
@@ -0,0 +1,113 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module anchor/copyanchorlinkcommand
+ */
+
+import Command from '@ckeditor/ckeditor5-core/src/command';
+import global from '@ckeditor/ckeditor5-utils/src/dom/global';
+import { findAnchors } from './utils';
+
+/**
+ * The copy anchor link command. It is used by the {@link module:anchor/anchor~Anchor anchor plugin}.
+ *
+ * It copies the link to the anchor (see {@link module:anchor/anchorediting~AnchorEditing#getAnchorUrl}) to the clipboard
+ * as both `text/plain` and `text/uri-list`, so it can be shared or pasted as a link:
+ *
+ *		editor.execute( 'copyAnchorLink' ); // Copies the link to the selected anchor.
+ *		editor.execute( 'copyAnchorLink', 'install' ); // -> true
+ *
+ * Like the `'goToAnchor'` command, it is always enabled, so any anchor in the document can be passed to it. Nothing is copied
+ * when there is no anchor with the given ID (or no anchor is selected and no ID is given).
+ *
+ * The clipboard can be written only in response to a user action, for instance, in a button `execute` listener.
+ * Copying does not change the content, so the command is enabled in the read-only mode too.
+ *
+ * @extends module:core/command~Command
+ */
+export default class CopyAnchorLinkCommand extends Command {
+	/**
+	 * @inheritDoc
+	 */
+	constructor( editor ) {
+		super( editor );
+
+		// Do not disable the command in the read-only mode.
+		this.stopListening( editor, 'change:isReadOnly' );
+	}
+
+	/**
+	 * The ID of the selected anchor or `undefined` if no named anchor is selected.
+	 *
+	 * @observable
+	 * @readonly
+	 * @member {String|undefined} #value
+	 */
+
+	/**
+	 * @inheritDoc
+	 */
+	refresh() {
+		// The `'anchor'` command is registered first, so it is already refreshed.
+		this.value = this.editor.commands.get( 'anchor' ).value || undefined;
+		this.isEnabled = true;
+	}
+
+	/**
+	 * Executes the command.
+	 *
+	 * @fires execute
+	 * @param {String} [id=this.value] The ID of the anchor in the model (without the
+	 * {@link module:anchor/anchor~AnchorConfig#idPrefix ID prefix}).
+	 * @returns {Boolean} Whether the link was copied. It is `false` if there is no anchor with the given ID in the document.
+	 */
+	execute( id = this.value ) {
+		if ( !id || !findAnchors( this.editor.model ).some( anchor => anchor.id === id ) ) {
+			return false;
+		}
+
+		const url = this.editor.plugins.get( 'AnchorEditing' ).getAnchorUrl( id );
+
+		return copyToClipboard( {
+			'text/plain': url,
+			'text/uri-list': url
+		} );
+	}
+}
+
+// Copies the data to the clipboard using the `copy` event fired by `document.execCommand()`, because the asynchronous
+// Clipboard API does not accept the `text/uri-list` type. The event is handled in the capture phase, so the clipboard
+// feature of the editor does not copy the selected content instead.
+//
+// @param {Object.<String,String>} data The clipboard data by the MIME type.
+// @returns {Boolean} Whether the data was copied.
+function copyToClipboard( data ) {
+	const domDocument = global.document;
+	let isCopied = false;
+
+	const onCopy = evt => {
+		for ( const [ type, value ] of Object.entries( data ) ) {
+			evt.clipboardData.setData( type, value );
+		}
+
+		evt.preventDefault();
+		evt.stopPropagation();
+
+		isCopied = true;
+	};
+
+	domDocument.addEventListener( 'copy', onCopy, true );
+
+	try {
+		domDocument.execCommand( 'copy' );
+	} catch ( error ) {
+		// The copy command is not supported, so nothing was copied.
+	} finally {
+		domDocument.removeEventListener( 'copy', onCopy, true );
+	}
+
+	return isCopied;
+}
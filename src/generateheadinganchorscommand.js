@@ -0,0 +1,70 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module anchor/generateheadinganchorscommand
+ */
+
+import Command from '@ckeditor/ckeditor5-core/src/command';
+import { findAnchors, getRangeText } from './utils';
+
+/**
+ * The generate heading anchors command. It is used by the
+ * {@link module:anchor/autoheadinganchors~AutoHeadingAnchors automatic heading anchors feature}.
+ *
+ * It gives all headings without an anchor the anchor with the ID generated from the heading text, in a single undo step.
+ * It is meant for documents created before the feature was enabled:
+ *
+ *		editor.execute( 'generateHeadingAnchors' ); // -> 3
+ *
+ * The headings which already have an anchor are left untouched.
+ *
+ * @extends module:core/command~Command
+ */
+export default class GenerateHeadingAnchorsCommand extends Command {
+	/**
+	 * @inheritDoc
+	 */
+	refresh() {
+		this.isEnabled = true;
+	}
+
+	/**
+	 * Executes the command.
+	 *
+	 * @fires execute
+	 * @returns {Number} The number of generated anchors.
+	 */
+	execute() {
+		const model = this.editor.model;
+		const plugin = this.editor.plugins.get( 'AutoHeadingAnchors' );
+		let count = 0;
+
+		model.change( writer => {
+			const usedIds = new Set( findAnchors( model ).map( anchor => anchor.id ) );
+
+			for ( const rootName of model.document.getRootNames() ) {
+				const range = model.createRangeIn( model.document.getRoot( rootName ) );
+
+				for ( const item of range.getItems() ) {
+					if ( !plugin.isHeading( item ) || item.hasAttribute( 'anchorId' ) ) {
+						continue;
+					}
+
+					const id = plugin.generateId( getRangeText( model.createRangeIn( item ) ), usedIds );
+
+					if ( id ) {
+						usedIds.add( id );
+						writer.setAttribute( 'anchorId', id, item );
+						count++;
+					}
+				}
+			}
+		} );
+
+		return count;
+	}
+}
+
@@ -0,0 +1,113 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module anchor/gotoadjacentanchorcommand
+ */
+
+import Command from '@ckeditor/ckeditor5-core/src/command';
+import { findAnchors, getAnchorPosition } from './utils';
+
+/**
+ * The go to adjacent anchor command. It is registered by the {@link module:anchor/anchorediting~AnchorEditing anchor editing feature}
+ * as the `'nextAnchor'` and `'previousAnchor'` commands.
+ *
+ * It moves the selection to the next (or the previous) anchor in the document order using the `'goToAnchor'` command.
+ * When there is no anchor after (or before) the selection, it wraps around to the first (or the last) anchor in the document.
+ *
+ *		editor.execute( 'nextAnchor' ); // -> true
+ *
+ * Like the `'goToAnchor'` command, it is enabled in the read-only mode too.
+ *
+ * @extends module:core/command~Command
+ */
+export default class GoToAdjacentAnchorCommand extends Command {
+	/**
+	 * Creates an instance of the command.
+	 *
+	 * @param {module:core/editor/editor~Editor} editor The editor instance.
+	 * @param {'forward'|'backward'} direction The direction in which the command moves the selection.
+	 */
+	constructor( editor, direction ) {
+		super( editor );
+
+		/**
+		 * The direction in which the command moves the selection.
+		 *
+		 * @readonly
+		 * @member {'forward'|'backward'}
+		 */
+		this.direction = direction;
+
+		// Do not disable the command in the read-only mode.
+		this.stopListening( editor, 'change:isReadOnly' );
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	refresh() {
+		this.isEnabled = true;
+	}
+
+	/**
+	 * Executes the command.
+	 *
+	 * @fires execute
+	 * @returns {Boolean} Whether an anchor was found.
+	 */
+	execute() {
+		const model = this.editor.model;
+		const isForward = this.direction == 'forward';
+		const selection = model.document.selection;
+		const selectionPosition = selection.getFirstPosition();
+		const anchors = findAnchors( model );
+
+		if ( !anchors.length ) {
+			return false;
+		}
+
+		// Several anchors may start at the same position (e.g. an anchored heading and an anchored text at its beginning).
+		// They are visited in the document order, starting from the selected one.
+		const selectedIndex = anchors.findIndex( anchor => isAnchorSelected( model, selection, anchor ) );
+		const isAdjacent = ( anchor, index ) => {
+			const position = getAnchorPosition( model, anchor );
+
+			if ( selectedIndex > -1 && position.isEqual( selectionPosition ) ) {
+				return isForward ? index > selectedIndex : index < selectedIndex;
+			}
+
+			return isForward ? position.isAfter( selectionPosition ) : position.isBefore( selectionPosition );
+		};
+
+		const indexes = anchors.map( ( anchor, index ) => index );
+
+		if ( !isForward ) {
+			indexes.reverse();
+		}
+
+		const adjacentIndex = indexes.find( index => isAdjacent( anchors[ index ], index ) );
+
+		return this.editor.execute( 'goToAnchor', anchors[ adjacentIndex === undefined ? indexes[ 0 ] : adjacentIndex ].id );
+	}
+}
+
+// Checks whether the selection is set on the anchor like by the `selectAnchor()` helper.
+//
+// @param {module:engine/model/model~Model} model
+// @param {module:engine/model/documentselection~DocumentSelection} selection
+// @param {Object} anchor An object with the anchor `range` and `element`.
+// @returns {Boolean}
+function isAnchorSelected( model, selection, { range, element } ) {
+	if ( !element ) {
+		return selection.getFirstRange().isEqual( range );
+	}
+
+	if ( model.schema.isObject( element ) || model.schema.isInline( element ) ) {
+		return selection.getSelectedElement() === element;
+	}
+
+	return selection.isCollapsed && selection.getFirstPosition().isEqual( model.createPositionAt( element, 0 ) );
+}
@@ -0,0 +1,158 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module anchor/gotoanchorcommand
+ */
+
+import Command from '@ckeditor/ckeditor5-core/src/command';
+import { scrollViewportToShowTarget } from '@ckeditor/ckeditor5-utils/src/dom/scroll';
+import { findAnchors, selectAnchor } from './utils';
+
+/**
+ * The name of the marker briefly highlighting the anchor the editor went to.
+ *
+ * @type {String}
+ */
+export const HIGHLIGHT_MARKER_NAME = 'anchor-highlight';
+
+// How long the anchor stays highlighted (in milliseconds).
+const HIGHLIGHT_DURATION = 2000;
+
+// The distance between the anchor and the edge of the viewport after scrolling (in pixels), like in `View#scrollToTheSelection()`.
+const SCROLL_OFFSET = 20;
+
+/**
+ * The go to anchor command. It is used by the {@link module:anchor/anchor~Anchor anchor plugin}.
+ *
+ * It selects the anchor with the given ID, scrolls the editing view to it and briefly highlights it,
+ * so the application can implement "jump to section" from outside of the editor:
+ *
+ *		editor.execute( 'goToAnchor', 'install' ); // -> true
+ *
+ * Going to an anchor does not change the content, so the command is enabled in the read-only mode too.
+ *
+ * @extends module:core/command~Command
+ */
+export default class GoToAnchorCommand extends Command {
+	/**
+	 * @inheritDoc
+	 */
+	constructor( editor ) {
+		super( editor );
+
+		// Do not disable the command in the read-only mode.
+		this.stopListening( editor, 'change:isReadOnly' );
+
+		/**
+		 * The ID of the timeout removing the highlight.
+		 *
+		 * @private
+		 * @member {Number|null}
+		 */
+		this._highlightTimeoutId = null;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	refresh() {
+		this.isEnabled = true;
+	}
+
+	/**
+	 * Executes the command.
+	 *
+	 * The viewport is scrolled so the anchor is not covered by the sticky UI of the page: the top offset configured
+	 * in `config.ui.viewportOffset` (or in the `config.toolbar.viewportTopOffset`) is respected.
+	 *
+	 * @fires execute
+	 * @param {String} id The ID of the anchor in the model (without the {@link module:anchor/anchor~AnchorConfig#idPrefix ID prefix}).
+	 * @returns {Boolean} Whether the anchor was found.
+	 */
+	execute( id ) {
+		const editor = this.editor;
+		const model = editor.model;
+		const view = editor.editing.view;
+		const anchor = findAnchors( model ).find( anchor => anchor.id === id );
+
+		if ( !anchor ) {
+			return false;
+		}
+
+		selectAnchor( model, anchor );
+		this._highlight( anchor );
+
+		view.focus();
+
+		const viewRange = view.document.selection.getFirstRange();
+
+		if ( viewRange ) {
+			scrollViewportToShowTarget( {
+				target: view.domConverter.viewRangeToDom( viewRange ),
+				viewportOffset: getViewportTopOffset( editor ) + SCROLL_OFFSET
+			} );
+		}
+
+		return true;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	destroy() {
+		clearTimeout( this._highlightTimeoutId );
+
+		super.destroy();
+	}
+
+	/**
+	 * Highlights the anchor using the {@link module:anchor/gotoanchorcommand~HIGHLIGHT_MARKER_NAME marker} and removes
+	 * the highlight after a while.
+	 *
+	 * @private
+	 * @param {Object} anchor An object with the anchor `range` and `element`.
+	 */
+	_highlight( { range, element } ) {
+		const model = this.editor.model;
+
+		// The content of anchored blocks is highlighted, the other anchored elements are widgets which handle the highlight.
+		const highlightRange = element && !model.schema.isObject( element ) ? model.createRangeIn( element ) : range;
+
+		clearTimeout( this._highlightTimeoutId );
+
+		model.change( writer => {
+			if ( model.markers.has( HIGHLIGHT_MARKER_NAME ) ) {
+				writer.updateMarker( HIGHLIGHT_MARKER_NAME, { range: highlightRange } );
+			} else {
+				writer.addMarker( HIGHLIGHT_MARKER_NAME, { range: highlightRange, usingOperation: false, affectsData: false } );
+			}
+		} );
+
+		this._highlightTimeoutId = setTimeout( () => {
+			this._highlightTimeoutId = null;
+
+			model.change( writer => {
+				if ( model.markers.has( HIGHLIGHT_MARKER_NAME ) ) {
+					writer.removeMarker( HIGHLIGHT_MARKER_NAME );
+				}
+			} );
+		}, HIGHLIGHT_DURATION );
+	}
+}
+
+// Returns the height of the sticky UI at the top of the page configured in the editor.
+//
+// @param {module:core/editor/editor~Editor} editor
+// @returns {Number}
+function getViewportTopOffset( editor ) {
+	const viewportOffset = editor.config.get( 'ui.viewportOffset' );
+
+	if ( viewportOffset && viewportOffset.top ) {
+		return viewportOffset.top;
+	}
+
+	return editor.config.get( 'toolbar.viewportTopOffset' ) || 0;
+}
@@ -0,0 +1,92 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module anchor/renameanchorcommand
+ */
+
+import Command from '@ckeditor/ckeditor5-core/src/command';
+import { findAnchorLinks, findAnchors, getAnchoredTextRanges, isReservedAnchorId, normalizeAnchorId } from './utils';
+
+/**
+ * The rename anchor command. It is used by the {@link module:anchor/anchor~Anchor anchor plugin}.
+ *
+ * It changes the ID of an anchor and updates all links pointing at it, so they do not break:
+ *
+ *		editor.execute( 'renameAnchor', 'intro', 'introduction' );
+ *
+ * @extends module:core/command~Command
+ */
+export default class RenameAnchorCommand extends Command {
+	/**
+	 * @inheritDoc
+	 */
+	refresh() {
+		this.isEnabled = true;
+	}
+
+	/**
+	 * Executes the command.
+	 *
+	 * The `anchorId` attribute is changed on all nodes carrying the `id` (anchored text, point anchors, anchored images
+	 * and anchored blocks). Unless disabled with `options.updateLinks`, the `linkHref` attribute of all links pointing at the anchor
+	 * is updated too (see {@link module:anchor/utils~findAnchorLinks `findAnchorLinks()`}). All the changes are done
+	 * in a single undo step.
+	 *
+	 * The `newId` is normalized according to the {@link module:anchor/anchor~AnchorConfig#idPolicy `config.anchor.idPolicy`}.
+	 * The command does nothing if there is no anchor with the `id` or if the `newId` is rejected by the policy, is one of the
+	 * {@link module:anchor/anchor~AnchorConfig#reservedIds `config.anchor.reservedIds`} or is already used by another anchor.
+	 *
+	 * @fires execute
+	 * @param {String} id The current anchor ID.
+	 * @param {String} newId The new anchor ID.
+	 * @param {Object} [options]
+	 * @param {Boolean} [options.updateLinks=true] Whether the links pointing at the anchor should be updated.
+	 */
+	execute( id, newId, options = {} ) {
+		const editor = this.editor;
+		const model = editor.model;
+		const { updateLinks = true } = options;
+
+		newId = normalizeAnchorId( newId, editor.config.get( 'anchor.idPolicy' ) );
+
+		if ( newId === null || newId === id || isReservedAnchorId( newId, editor.config.get( 'anchor.reservedIds' ) ) ) {
+			return;
+		}
+
+		const anchors = findAnchors( model );
+
+		if ( !anchors.some( anchor => anchor.id === id ) || anchors.some( anchor => anchor.id === newId ) ) {
+			return;
+		}
+
+		model.change( writer => {
+			for ( const anchor of anchors ) {
+				if ( anchor.id !== id ) {
+					continue;
+				}
+
+				if ( anchor.element ) {
+					writer.setAttribute( 'anchorId', newId, anchor.element );
+				} else {
+					for ( const range of getAnchoredTextRanges( model, anchor ) ) {
+						writer.setAttribute( 'anchorId', newId, range );
+					}
+				}
+			}
+
+			if ( updateLinks ) {
+				const idPrefix = editor.config.get( 'anchor.idPrefix' );
+
+				for ( const link of findAnchorLinks( model, id, idPrefix ) ) {
+					// Keep the prefix, if the link used it.
+					const href = link.href == `#${ id }` ? `#${ newId }` : `#${ idPrefix }${ newId }`;
+
+					writer.setAttribute( 'linkHref', href, link.element || link.range );
+				}
+			}
+		} );
+	}
+}
@@ -0,0 +1,57 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module anchor/showanchorscommand
+ */
+
+import Command from '@ckeditor/ckeditor5-core/src/command';
+
+/**
+ * The show anchors command. It is used by the {@link module:anchor/anchorbadges~AnchorBadges anchor badges feature}.
+ *
+ * It switches the anchor badges in the editing view on and off. The editor data is not affected.
+ *
+ *		editor.execute( 'showAnchors' ); // Toggles the badges.
+ *		editor.execute( 'showAnchors', { forceValue: false } ); // Hides the badges.
+ *
+ * @extends module:core/command~Command
+ */
+export default class ShowAnchorsCommand extends Command {
+	/**
+	 * @inheritDoc
+	 */
+	constructor( editor ) {
+		super( editor );
+
+		/**
+		 * Whether the anchor badges are displayed.
+		 *
+		 * @observable
+		 * @readonly
+		 * @member {Boolean} #value
+		 */
+		this.value = true;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	refresh() {
+		this.isEnabled = true;
+	}
+
+	/**
+	 * Executes the command.
+	 *
+	 * @fires execute
+	 * @param {Object} [options]
+	 * @param {Boolean} [options.forceValue] If set, the badges will be displayed (`true`) or hidden (`false`)
+	 * instead of being toggled.
+	 */
+	execute( options = {} ) {
+		this.value = options.forceValue === undefined ? !this.value : options.forceValue;
+	}
+}
@@ -17,13 +17,14 @@ import FocusCycler from '@ckeditor/ckeditor5-ui/src/focuscycler';
 import KeystrokeHandler from '@ckeditor/ckeditor5-utils/src/keystrokehandler';
 
 import unanchorIcon from '../../theme/icons/unanchor.svg';
+import copyIcon from '../../theme/icons/copy.svg';
 import pencilIcon from '@ckeditor/ckeditor5-core/theme/icons/pencil.svg';
 import '../../theme/anchoractions.css';
 import '@ckeditor/ckeditor5-ui/theme/components/responsive-form/responsiveform.css';
 
 /**
  * The anchor actions view class. This view displays the anchor preview, allows
- * unanchoring or editing the anchor.
+ * unanchoring, editing the anchor or copying the link to it.
  *
  * @extends module:ui/view~View
  */
@@ -35,6 +36,7 @@ export default class AnchorActionsView extends View {
 		super( locale );
 
 		const t = locale.t;
+		const bind = this.bindTemplate;
 
 		/**
 		 * Tracks information about DOM focus in the actions.
@@ -52,6 +54,37 @@ export default class AnchorActionsView extends View {
 		 */
 		this.keystrokes = new KeystrokeHandler();
 
+		/**
+		 * The ID of the anchor.
+		 *
+		 * @observable
+		 * @member {String|undefined} #id
+		 */
+		this.set( 'id' );
+
+		/**
+		 * The labels of the links in the document pointing at the anchor. They are listed in the tooltip of the link count.
+		 *
+		 * @observable
+		 * @member {Array.<String>} #links
+		 */
+		this.set( 'links', [] );
+
+		/**
+		 * Whether the "Link copied" confirmation is displayed.
+		 *
+		 * @observable
+		 * @member {Boolean} #isLinkCopied
+		 */
+		this.set( 'isLinkCopied', false );
+
+		/**
+		 * The anchor preview view. Clicking it opens the anchor form, like the {@link #editButtonView}.
+		 *
+		 * @member {module:ui/button/buttonview~ButtonView}
+		 */
+		this.previewButtonView = this._createPreviewButton();
+
 		/**
 		 * The unanchor button view.
 		 *
@@ -66,6 +99,13 @@ export default class AnchorActionsView extends View {
 		 */
 		this.editButtonView = this._createButton( t( 'Edit anchor' ), pencilIcon, 'edit' );
 
+		/**
+		 * The copy link button view.
+		 *
+		 * @member {module:ui/button/buttonview~ButtonView}
+		 */
+		this.copyButtonView = this._createButton( t( 'Copy link to anchor' ), copyIcon, 'copy' );
+
 		/**
 		 * A collection of views that can be focused in the view.
 		 *
@@ -110,6 +150,41 @@ export default class AnchorActionsView extends View {
 			},
 
 			children: [
+				this.previewButtonView,
+				{
+					tag: 'span',
+
+					attributes: {
+						class: [
+							'ck',
+							'ck-anchor-actions__links'
+						],
+						title: bind.to( 'links', links => links.join( '\n' ) )
+					},
+
+					children: [
+						{
+							text: bind.to( 'links', links => t( { string: '%0 link', plural: '%0 links' }, links.length ) )
+						}
+					]
+				},
+				{
+					tag: 'span',
+
+					attributes: {
+						class: [
+							'ck',
+							'ck-anchor-actions__status',
+							bind.if( 'isLinkCopied', 'ck-hidden', value => !value )
+						],
+						role: 'status'
+					},
+
+					children: [
+						t( 'Link copied' )
+					]
+				},
+				this.copyButtonView,
 				this.editButtonView,
 				this.unanchorButtonView
 			]
@@ -123,6 +198,8 @@ export default class AnchorActionsView extends View {
 		super.render();
 
 		const childViews = [
+			this.previewButtonView,
+			this.copyButtonView,
 			this.editButtonView,
 			this.unanchorButtonView
 		];
@@ -168,10 +245,41 @@ export default class AnchorActionsView extends View {
 
 		return button;
 	}
+
+	/**
+	 * Creates an anchor preview button.
+	 *
+	 * @private
+	 * @returns {module:ui/button/buttonview~ButtonView} The button view instance.
+	 */
+	_createPreviewButton() {
+		const button = new ButtonView( this.locale );
+		const t = this.t;
+
+		button.set( {
+			withText: true,
+			tooltip: t( 'Edit anchor' )
+		} );
+
+		button.extendTemplate( {
+			attributes: {
+				class: [
+					'ck',
+					'ck-anchor-actions__preview'
+				]
+			}
+		} );
+
+		button.bind( 'label' ).to( this, 'id', id => id || t( 'This anchor has no name' ) );
+
+		button.delegate( 'execute' ).to( this, 'edit' );
+
+		return button;
+	}
 }
 
 /**
- * Fired when the {@link #editButtonView} is clicked.
+ * Fired when the {@link #editButtonView} or the {@link #previewButtonView} is clicked.
  *
  * @event edit
  */
@@ -181,3 +289,9 @@ export default class AnchorActionsView extends View {
  *
  * @event unanchor
  */
+
+/**
+ * Fired when the {@link #copyButtonView} is clicked.
+ *
+ * @event copy
+ */
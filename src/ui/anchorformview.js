@@ -42,7 +42,6 @@ export default class AnchorFormView extends View {
 	 *
 	 * @param {module:utils/locale~Locale} [locale] The localization services instance.
 	 * @param {module:anchor/anchorcommand~AnchorCommand} anchorCommand Reference to {@link module:anchor/anchorcommand~AnchorCommand}.
-	 * @param {String} [protocol] A value of a protocol to be displayed in the input's placeholder.
 	 */
 	constructor( locale, anchorCommand ) {
 		super( locale );
@@ -87,6 +86,47 @@ export default class AnchorFormView extends View {
 		 */
 		this.cancelButtonView = this._createButton( t( 'Cancel' ), cancelIcon, 'ck-button-cancel', 'cancel' );
 
+		/**
+		 * Whether the anchor name typed in the {@link #urlInputView} is valid. The {@link #saveButtonView} should be disabled
+		 * when it is not.
+		 *
+		 * @observable
+		 * @member {Boolean} #isValid
+		 */
+		this.set( 'isValid', true );
+
+		/**
+		 * The anchor name suggested instead of the invalid one typed in the {@link #urlInputView}, for instance, `intro-2`
+		 * if `intro` is already used. When set, the {@link #suggestionButtonView} is displayed.
+		 *
+		 * @observable
+		 * @member {String|null} #suggestion
+		 */
+		this.set( 'suggestion', null );
+
+		/**
+		 * The button replacing the value of the {@link #urlInputView} with the {@link #suggestion}.
+		 *
+		 * @member {module:ui/button/buttonview~ButtonView}
+		 */
+		this.suggestionButtonView = this._createSuggestionButton();
+
+		/**
+		 * The number of links pointing at the edited anchor. When it is greater than zero,
+		 * the {@link #updateLinksSwitchView} is displayed.
+		 *
+		 * @observable
+		 * @member {Number} #linkCount
+		 */
+		this.set( 'linkCount', 0 );
+
+		/**
+		 * The switch deciding whether the links pointing at the edited anchor should be updated when the anchor is renamed.
+		 *
+		 * @member {module:ui/button/switchbuttonview~SwitchButtonView}
+		 */
+		this.updateLinksSwitchView = this._createUpdateLinksSwitch();
+
 		/**
 		 * A collection of {@link module:ui/button/switchbuttonview~SwitchButtonView},
 		 * which corresponds to {@link module:anchor/anchorcommand~AnchorCommand#manualDecorators manual decorators}
@@ -135,10 +175,28 @@ export default class AnchorFormView extends View {
 			}
 		} );
 
+		const bind = this.bindTemplate;
 		const classList = [ 'ck', 'ck-anchor-form', 'ck-responsive-form' ];
 
 		if ( anchorCommand.manualDecorators.length ) {
 			classList.push( 'ck-anchor-form_layout-vertical', 'ck-vertical-form' );
+		} else {
+			/**
+			 * Whether the form uses the vertical layout because the switch updating links or the suggestion are displayed.
+			 * They do not fit into the horizontal layout.
+			 *
+			 * @private
+			 * @observable
+			 * @member {Boolean} #_isVertical
+			 */
+			this.bind( '_isVertical' ).to( this, 'linkCount', this, 'suggestion', ( linkCount, suggestion ) => {
+				return linkCount > 0 || !!suggestion;
+			} );
+
+			classList.push(
+				bind.if( '_isVertical', 'ck-anchor-form_layout-vertical' ),
+				bind.if( '_isVertical', 'ck-vertical-form' )
+			);
 		}
 
 		this.setTemplate( {
@@ -184,6 +242,8 @@ export default class AnchorFormView extends View {
 
 		const childViews = [
 			this.urlInputView,
+			this.suggestionButtonView,
+			this.updateLinksSwitchView,
 			...this._manualDecoratorSwitches,
 			this.saveButtonView,
 			this.cancelButtonView
@@ -223,6 +283,76 @@ export default class AnchorFormView extends View {
 		return labeledInput;
 	}
 
+	/**
+	 * Creates the button replacing the typed anchor name with the {@link #suggestion}. It is visible only when there is a suggestion.
+	 *
+	 * @private
+	 * @returns {module:ui/button/buttonview~ButtonView} The button view instance.
+	 */
+	_createSuggestionButton() {
+		const t = this.locale.t;
+		const button = new ButtonView( this.locale );
+
+		button.set( {
+			withText: true
+		} );
+
+		button.bind( 'label' ).to( this, 'suggestion', suggestion => t( 'Use "%0" instead', suggestion ) );
+		button.bind( 'isVisible' ).to( this, 'suggestion', suggestion => !!suggestion );
+
+		button.extendTemplate( {
+			attributes: {
+				class: 'ck-anchor-form__suggestion'
+			}
+		} );
+
+		// The value of the field may be bound, so the DOM value is changed like when the user types it.
+		button.on( 'execute', () => {
+			const fieldView = this.urlInputView.fieldView;
+
+			fieldView.element.value = this.suggestion;
+			fieldView.fire( 'input' );
+			fieldView.focus();
+		} );
+
+		return button;
+	}
+
+	/**
+	 * Creates the switch button deciding whether links pointing at the edited anchor should be updated.
+	 * It is visible only when there are such links.
+	 *
+	 * @private
+	 * @returns {module:ui/button/switchbuttonview~SwitchButtonView} The switch button view instance.
+	 */
+	_createUpdateLinksSwitch() {
+		const t = this.locale.t;
+		const switchButton = new SwitchButtonView( this.locale );
+
+		switchButton.set( {
+			withText: true,
+			isOn: true
+		} );
+
+		switchButton.bind( 'label' ).to( this, 'linkCount', linkCount => {
+			return t( { string: 'Also update %0 link', plural: 'Also update %0 links' }, linkCount );
+		} );
+
+		switchButton.bind( 'isVisible' ).to( this, 'linkCount', linkCount => linkCount > 0 );
+
+		switchButton.extendTemplate( {
+			attributes: {
+				class: 'ck-anchor-form__update-links'
+			}
+		} );
+
+		switchButton.on( 'execute', () => {
+			switchButton.isOn = !switchButton.isOn;
+		} );
+
+		return switchButton;
+	}
+
 	/**
 	 * Creates a button view.
 	 *
@@ -305,6 +435,8 @@ export default class AnchorFormView extends View {
 		const children = this.createCollection();
 
 		children.add( this.urlInputView );
+		children.add( this.suggestionButtonView );
+		children.add( this.updateLinksSwitchView );
 
 		if ( manualDecorators.length ) {
 			const additionalButtonsView = new View();
@@ -0,0 +1,313 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module anchor/ui/anchorlistview
+ */
+
+import View from '@ckeditor/ckeditor5-ui/src/view';
+import ViewCollection from '@ckeditor/ckeditor5-ui/src/viewcollection';
+
+import ButtonView from '@ckeditor/ckeditor5-ui/src/button/buttonview';
+import InputTextView from '@ckeditor/ckeditor5-ui/src/inputtext/inputtextview';
+import ListView from '@ckeditor/ckeditor5-ui/src/list/listview';
+import ListItemView from '@ckeditor/ckeditor5-ui/src/list/listitemview';
+
+import FocusTracker from '@ckeditor/ckeditor5-utils/src/focustracker';
+import FocusCycler from '@ckeditor/ckeditor5-ui/src/focuscycler';
+import KeystrokeHandler from '@ckeditor/ckeditor5-utils/src/keystrokehandler';
+
+import '../../theme/anchorlist.css';
+
+// The maximum length of the anchored text displayed next to the anchor ID.
+const SNIPPET_LENGTH = 40;
+
+/**
+ * The anchor list view class. It displays the anchors in the document, filtered by the text typed
+ * in the {@link #filterInputView}. It is displayed in the `anchorList` toolbar dropdown.
+ *
+ * @extends module:ui/view~View
+ */
+export default class AnchorListView extends View {
+	/**
+	 * @inheritDoc
+	 */
+	constructor( locale ) {
+		super( locale );
+
+		const t = locale.t;
+
+		/**
+		 * Tracks information about DOM focus in the view.
+		 *
+		 * @readonly
+		 * @member {module:utils/focustracker~FocusTracker}
+		 */
+		this.focusTracker = new FocusTracker();
+
+		/**
+		 * An instance of the {@link module:utils/keystrokehandler~KeystrokeHandler}.
+		 *
+		 * @readonly
+		 * @member {module:utils/keystrokehandler~KeystrokeHandler}
+		 */
+		this.keystrokes = new KeystrokeHandler();
+
+		/**
+		 * The text the anchors are filtered by. An anchor is listed if its ID or its text contain it (case-insensitive).
+		 *
+		 * @observable
+		 * @member {String} #filter
+		 */
+		this.set( 'filter', '' );
+
+		/**
+		 * The filter input view.
+		 *
+		 * @member {module:ui/inputtext/inputtextview~InputTextView}
+		 */
+		this.filterInputView = this._createFilterInput();
+
+		/**
+		 * The list of the anchors matching the {@link #filter}.
+		 *
+		 * @member {module:ui/list/listview~ListView}
+		 */
+		this.listView = new ListView( locale );
+
+		/**
+		 * The label displayed in the list when no anchor matches the {@link #filter}.
+		 *
+		 * @private
+		 * @member {String}
+		 */
+		this._emptyLabel = t( 'No anchors found' );
+
+		/**
+		 * All anchors which can be listed.
+		 *
+		 * @private
+		 * @member {Array.<module:anchor/anchorregistry~AnchorRegistryItem>}
+		 */
+		this._anchors = [];
+
+		/**
+		 * A collection of views that can be focused in the view.
+		 *
+		 * @readonly
+		 * @protected
+		 * @member {module:ui/viewcollection~ViewCollection}
+		 */
+		this._focusables = new ViewCollection();
+
+		/**
+		 * Helps cycling over {@link #_focusables} in the view.
+		 *
+		 * @readonly
+		 * @protected
+		 * @member {module:ui/focuscycler~FocusCycler}
+		 */
+		this._focusCycler = new FocusCycler( {
+			focusables: this._focusables,
+			focusTracker: this.focusTracker,
+			keystrokeHandler: this.keystrokes,
+			actions: {
+				// Navigate fields backwards using the Shift + Tab keystroke.
+				focusPrevious: 'shift + tab',
+
+				// Navigate fields forwards using the Tab key.
+				focusNext: 'tab'
+			}
+		} );
+
+		this.setTemplate( {
+			tag: 'div',
+
+			attributes: {
+				class: [
+					'ck',
+					'ck-anchor-list'
+				],
+
+				tabindex: '-1'
+			},
+
+			children: [
+				this.filterInputView,
+				this.listView
+			]
+		} );
+
+		this.on( 'change:filter', () => this._renderItems() );
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	render() {
+		super.render();
+
+		const childViews = [
+			this.filterInputView,
+			this.listView
+		];
+
+		childViews.forEach( v => {
+			// Register the view as focusable.
+			this._focusables.add( v );
+
+			// Register the view in the focus tracker.
+			this.focusTracker.add( v.element );
+		} );
+
+		// Move from the filter to the list using the arrow down key, like in other dropdowns.
+		this.keystrokes.set( 'arrowdown', ( data, cancel ) => {
+			if ( this.focusTracker.focusedElement === this.filterInputView.element ) {
+				this.listView.focus();
+				cancel();
+			}
+		} );
+
+		// Start listening for the keystrokes coming from #element.
+		this.keystrokes.listenTo( this.element );
+	}
+
+	/**
+	 * Sets the anchors displayed in the list and resets the {@link #filter}.
+	 *
+	 * @param {Array.<module:anchor/anchorregistry~AnchorRegistryItem>} anchors The anchors in the document order.
+	 */
+	setAnchors( anchors ) {
+		this._anchors = anchors;
+
+		if ( this.filter ) {
+			// Resetting the filter renders the items.
+			this.filter = '';
+		} else {
+			this._renderItems();
+		}
+
+		if ( this.filterInputView.element ) {
+			this.filterInputView.element.value = '';
+		}
+	}
+
+	/**
+	 * Focuses the {@link #filterInputView}.
+	 */
+	focus() {
+		this.filterInputView.focus();
+	}
+
+	/**
+	 * Focuses the last item in the list.
+	 */
+	focusLast() {
+		this.listView.focusLast();
+	}
+
+	/**
+	 * Creates the filter input.
+	 *
+	 * @private
+	 * @returns {module:ui/inputtext/inputtextview~InputTextView}
+	 */
+	_createFilterInput() {
+		const t = this.locale.t;
+		const inputView = new InputTextView( this.locale );
+
+		inputView.placeholder = t( 'Filter anchors' );
+		inputView.extendTemplate( {
+			attributes: {
+				class: 'ck-anchor-list__filter'
+			}
+		} );
+
+		inputView.on( 'input', () => {
+			this.filter = inputView.element.value;
+		} );
+
+		return inputView;
+	}
+
+	/**
+	 * Renders the list items of the anchors matching the {@link #filter}.
+	 *
+	 * @private
+	 */
+	_renderItems() {
+		const filter = this.filter.trim().toLowerCase();
+		const anchors = this._anchors.filter( ( { id, text } ) => {
+			return id.toLowerCase().includes( filter ) || text.toLowerCase().includes( filter );
+		} );
+
+		// The previous items are destroyed (with their buttons), so their listeners do not pile up on each filter change.
+		const previousItemViews = Array.from( this.listView.items );
+
+		this.listView.items.clear();
+		previousItemViews.forEach( itemView => itemView.destroy() );
+
+		for ( const { id, text } of anchors ) {
+			const snippet = getSnippet( text );
+
+			this.listView.items.add( this._createItem( {
+				label: snippet ? `${ id } – ${ snippet }` : id,
+				tooltip: text || false,
+				anchorId: id
+			} ) );
+		}
+
+		if ( !anchors.length ) {
+			this.listView.items.add( this._createItem( {
+				label: this._emptyLabel,
+				isEnabled: false
+			} ) );
+		}
+	}
+
+	/**
+	 * Creates a list item with a button. Executing the button fires the {@link #event:execute} event.
+	 *
+	 * @private
+	 * @param {Object} properties The properties of the button.
+	 * @returns {module:ui/list/listitemview~ListItemView}
+	 */
+	_createItem( properties ) {
+		const listItemView = new ListItemView( this.locale );
+		const buttonView = new ButtonView( this.locale );
+
+		buttonView.set( Object.assign( { withText: true }, properties ) );
+		buttonView.extendTemplate( {
+			attributes: {
+				class: 'ck-anchor-list__item'
+			}
+		} );
+
+		buttonView.on( 'execute', () => {
+			this.fire( 'execute', buttonView.anchorId );
+		} );
+
+		listItemView.children.add( buttonView );
+
+		return listItemView;
+	}
+
+	/**
+	 * Fired when an anchor was picked from the list.
+	 *
+	 * @event execute
+	 * @param {String} id The ID of the picked anchor.
+	 */
+}
+
+// Returns the beginning of the anchored text which fits in the list.
+//
+// @param {String} text
+// @returns {String}
+function getSnippet( text ) {
+	text = text.trim();
+
+	return text.length > SNIPPET_LENGTH ? `${ text.slice( 0, SNIPPET_LENGTH ).trim() }…` : text;
+}
@@ -0,0 +1,416 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module anchor/ui/anchorspanelitemview
+ */
+
+import View from '@ckeditor/ckeditor5-ui/src/view';
+import ViewCollection from '@ckeditor/ckeditor5-ui/src/viewcollection';
+
+import ButtonView from '@ckeditor/ckeditor5-ui/src/button/buttonview';
+
+import LabeledFieldView from '@ckeditor/ckeditor5-ui/src/labeledfield/labeledfieldview';
+import { createLabeledInputText } from '@ckeditor/ckeditor5-ui/src/labeledfield/utils';
+
+import submitHandler from '@ckeditor/ckeditor5-ui/src/bindings/submithandler';
+import FocusTracker from '@ckeditor/ckeditor5-utils/src/focustracker';
+import FocusCycler from '@ckeditor/ckeditor5-ui/src/focuscycler';
+import KeystrokeHandler from '@ckeditor/ckeditor5-utils/src/keystrokehandler';
+
+import unanchorIcon from '../../theme/icons/unanchor.svg';
+import pencilIcon from '@ckeditor/ckeditor5-core/theme/icons/pencil.svg';
+import checkIcon from '@ckeditor/ckeditor5-core/theme/icons/check.svg';
+import cancelIcon from '@ckeditor/ckeditor5-core/theme/icons/cancel.svg';
+
+/**
+ * The view of a single anchor in the {@link module:anchor/ui/anchorspanelview~AnchorsPanelView}. It displays the anchor ID,
+ * the anchored text, the number of links pointing at the anchor and the validation error, if any. It also allows going to,
+ * renaming (inline) and unanchoring the anchor.
+ *
+ * @extends module:ui/view~View
+ */
+export default class AnchorsPanelItemView extends View {
+	/**
+	 * @inheritDoc
+	 */
+	constructor( locale ) {
+		super( locale );
+
+		const t = locale.t;
+		const bind = this.bindTemplate;
+
+		/**
+		 * Tracks information about DOM focus in the item.
+		 *
+		 * @readonly
+		 * @member {module:utils/focustracker~FocusTracker}
+		 */
+		this.focusTracker = new FocusTracker();
+
+		/**
+		 * An instance of the {@link module:utils/keystrokehandler~KeystrokeHandler}.
+		 *
+		 * @readonly
+		 * @member {module:utils/keystrokehandler~KeystrokeHandler}
+		 */
+		this.keystrokes = new KeystrokeHandler();
+
+		/**
+		 * The anchor ID.
+		 *
+		 * @observable
+		 * @member {String} #id
+		 */
+		this.set( 'id', '' );
+
+		/**
+		 * The anchored text.
+		 *
+		 * @observable
+		 * @member {String} #text
+		 */
+		this.set( 'text', '' );
+
+		/**
+		 * The number of links in the document pointing at the anchor.
+		 *
+		 * @observable
+		 * @member {Number} #linkCount
+		 */
+		this.set( 'linkCount', 0 );
+
+		/**
+		 * The message explaining why the anchor ID is not valid or `null` if it is valid.
+		 *
+		 * @observable
+		 * @member {String|null} #errorText
+		 */
+		this.set( 'errorText', null );
+
+		/**
+		 * Whether the inline rename form is displayed instead of the anchor preview.
+		 *
+		 * @observable
+		 * @member {Boolean} #isEditing
+		 */
+		this.set( 'isEditing', false );
+
+		/**
+		 * Whether the anchor can be renamed or unanchored.
+		 *
+		 * @observable
+		 * @member {Boolean} #isReadOnly
+		 */
+		this.set( 'isReadOnly', false );
+
+		/**
+		 * The button going to the anchor. Its label is the anchor ID.
+		 *
+		 * @member {module:ui/button/buttonview~ButtonView}
+		 */
+		this.goToButtonView = this._createGoToButton();
+
+		/**
+		 * The button opening the inline rename form.
+		 *
+		 * @member {module:ui/button/buttonview~ButtonView}
+		 */
+		this.renameButtonView = this._createButton( t( 'Rename anchor' ), pencilIcon );
+		this.renameButtonView.bind( 'isEnabled' ).to( this, 'isReadOnly', isReadOnly => !isReadOnly );
+		this.renameButtonView.on( 'execute', () => this.startEditing() );
+
+		/**
+		 * The unanchor button view.
+		 *
+		 * @member {module:ui/button/buttonview~ButtonView}
+		 */
+		this.unanchorButtonView = this._createButton( t( 'Unanchor' ), unanchorIcon );
+		this.unanchorButtonView.bind( 'isEnabled' ).to( this, 'isReadOnly', isReadOnly => !isReadOnly );
+		this.unanchorButtonView.on( 'execute', () => this.fire( 'unanchor', this.id ) );
+
+		/**
+		 * The input of the inline rename form.
+		 *
+		 * @member {module:ui/labeledfield/labeledfieldview~LabeledFieldView}
+		 */
+		this.renameInputView = new LabeledFieldView( locale, createLabeledInputText );
+		this.renameInputView.label = t( 'Anchor name' );
+		this.renameInputView.fieldView.on( 'input', () => {
+			this.renameInputView.errorText = null;
+		} );
+
+		/**
+		 * The Save button of the inline rename form.
+		 *
+		 * @member {module:ui/button/buttonview~ButtonView}
+		 */
+		this.saveButtonView = this._createButton( t( 'Save' ), checkIcon );
+		this.saveButtonView.type = 'submit';
+		this.saveButtonView.bind( 'isEnabled' ).to( this, 'isReadOnly', isReadOnly => !isReadOnly );
+
+		/**
+		 * The Cancel button of the inline rename form.
+		 *
+		 * @member {module:ui/button/buttonview~ButtonView}
+		 */
+		this.cancelButtonView = this._createButton( t( 'Cancel' ), cancelIcon );
+		this.cancelButtonView.on( 'execute', () => this.stopEditing() );
+
+		/**
+		 * A collection of views that can be focused in the item.
+		 *
+		 * @readonly
+		 * @protected
+		 * @member {module:ui/viewcollection~ViewCollection}
+		 */
+		this._focusables = new ViewCollection();
+
+		/**
+		 * Helps cycling over {@link #_focusables} in the item.
+		 *
+		 * @readonly
+		 * @protected
+		 * @member {module:ui/focuscycler~FocusCycler}
+		 */
+		this._focusCycler = new FocusCycler( {
+			focusables: this._focusables,
+			focusTracker: this.focusTracker,
+			keystrokeHandler: this.keystrokes
+		} );
+
+		const previewView = new View( locale );
+		const formView = new View( locale );
+
+		previewView.setTemplate( {
+			tag: 'div',
+
+			attributes: {
+				class: [
+					'ck',
+					'ck-anchors-panel__item-preview',
+					bind.if( 'isEditing', 'ck-hidden' )
+				]
+			},
+
+			children: [
+				this.goToButtonView,
+				{
+					tag: 'span',
+					attributes: {
+						class: [ 'ck', 'ck-anchors-panel__item-text' ]
+					},
+					children: [ { text: bind.to( 'text' ) } ]
+				},
+				{
+					tag: 'span',
+					attributes: {
+						class: [ 'ck', 'ck-anchors-panel__item-links' ]
+					},
+					children: [ {
+						text: bind.to( 'linkCount', linkCount => t( { string: '%0 link', plural: '%0 links' }, linkCount ) )
+					} ]
+				},
+				{
+					tag: 'span',
+					attributes: {
+						class: [
+							'ck',
+							'ck-anchors-panel__item-error',
+							bind.if( 'errorText', 'ck-hidden', errorText => !errorText )
+						]
+					},
+					children: [ { text: bind.to( 'errorText' ) } ]
+				},
+				this.renameButtonView,
+				this.unanchorButtonView
+			]
+		} );
+
+		formView.setTemplate( {
+			tag: 'form',
+
+			attributes: {
+				class: [
+					'ck',
+					'ck-anchors-panel__item-form',
+					bind.if( 'isEditing', 'ck-hidden', isEditing => !isEditing )
+				],
+
+				// https://github.com/ckeditor/ckeditor5-anchor/issues/90
+				tabindex: '-1'
+			},
+
+			children: [
+				this.renameInputView,
+				this.saveButtonView,
+				this.cancelButtonView
+			]
+		} );
+
+		this.setTemplate( {
+			tag: 'li',
+
+			attributes: {
+				class: [
+					'ck',
+					'ck-anchors-panel__item',
+					bind.if( 'errorText', 'ck-anchors-panel__item_invalid', errorText => !!errorText )
+				]
+			},
+
+			children: [
+				previewView,
+				formView
+			]
+		} );
+
+		/**
+		 * The inline rename form view.
+		 *
+		 * @private
+		 * @member {module:ui/view~View}
+		 */
+		this._formView = formView;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	render() {
+		super.render();
+
+		submitHandler( {
+			view: this._formView
+		} );
+
+		this.listenTo( this._formView, 'submit', () => {
+			this.fire( 'rename', this.id, this.renameInputView.fieldView.element.value );
+		} );
+
+		const childViews = [
+			this.goToButtonView,
+			this.renameButtonView,
+			this.unanchorButtonView,
+			this.renameInputView,
+			this.saveButtonView,
+			this.cancelButtonView
+		];
+
+		childViews.forEach( v => {
+			// Register the view as focusable.
+			this._focusables.add( v );
+
+			// Register the view in the focus tracker.
+			this.focusTracker.add( v.element );
+		} );
+
+		// Close the inline rename form on the Esc key press.
+		this.keystrokes.set( 'Esc', ( data, cancel ) => {
+			if ( this.isEditing ) {
+				this.stopEditing();
+				cancel();
+			}
+		} );
+
+		// Start listening for the keystrokes coming from #element.
+		this.keystrokes.listenTo( this.element );
+	}
+
+	/**
+	 * Focuses the first focusable element in the item.
+	 */
+	focus() {
+		this._focusCycler.focusFirst();
+	}
+
+	/**
+	 * Displays the inline rename form filled with the anchor ID and focuses it.
+	 */
+	startEditing() {
+		this.renameInputView.errorText = null;
+		this.renameInputView.fieldView.value = this.id;
+		this.isEditing = true;
+
+		this.renameInputView.fieldView.select();
+	}
+
+	/**
+	 * Hides the inline rename form.
+	 */
+	stopEditing() {
+		this.isEditing = false;
+		this.goToButtonView.focus();
+	}
+
+	/**
+	 * Creates the button going to the anchor.
+	 *
+	 * @private
+	 * @returns {module:ui/button/buttonview~ButtonView}
+	 */
+	_createGoToButton() {
+		const button = new ButtonView( this.locale );
+
+		button.set( {
+			withText: true,
+			tooltip: this.locale.t( 'Go to the anchor' )
+		} );
+
+		button.bind( 'label' ).to( this, 'id' );
+		button.extendTemplate( {
+			attributes: {
+				class: 'ck-anchors-panel__item-go-to'
+			}
+		} );
+
+		button.on( 'execute', () => this.fire( 'goTo', this.id ) );
+
+		return button;
+	}
+
+	/**
+	 * Creates a button view.
+	 *
+	 * @private
+	 * @param {String} label The button label.
+	 * @param {String} icon The button icon.
+	 * @returns {module:ui/button/buttonview~ButtonView} The button view instance.
+	 */
+	_createButton( label, icon ) {
+		const button = new ButtonView( this.locale );
+
+		button.set( {
+			label,
+			icon,
+			tooltip: true
+		} );
+
+		return button;
+	}
+
+	/**
+	 * Fired when the {@link #goToButtonView} was executed.
+	 *
+	 * @event goTo
+	 * @param {String} id The anchor ID.
+	 */
+
+	/**
+	 * Fired when the inline rename form was submitted. The form stays open until {@link #stopEditing} is called,
+	 * so the new ID can be validated first.
+	 *
+	 * @event rename
+	 * @param {String} id The anchor ID.
+	 * @param {String} newId The value of the {@link #renameInputView}.
+	 */
+
+	/**
+	 * Fired when the {@link #unanchorButtonView} was executed.
+	 *
+	 * @event unanchor
+	 * @param {String} id The anchor ID.
+	 */
+}
@@ -0,0 +1,199 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module anchor/ui/anchorspanelview
+ */
+
+import View from '@ckeditor/ckeditor5-ui/src/view';
+import AnchorsPanelItemView from './anchorspanelitemview';
+
+import '../../theme/anchorspanel.css';
+
+/**
+ * The anchors panel view class. It lists all anchors in the document, like a document outline. It is not a part of the editor UI,
+ * so it can be mounted anywhere in the page. See {@link module:anchor/anchorspanel~AnchorsPanel}.
+ *
+ * @extends module:ui/view~View
+ */
+export default class AnchorsPanelView extends View {
+	/**
+	 * @inheritDoc
+	 */
+	constructor( locale ) {
+		super( locale );
+
+		const t = locale.t;
+		const bind = this.bindTemplate;
+
+		/**
+		 * Whether the anchors can be renamed or unanchored.
+		 *
+		 * @observable
+		 * @member {Boolean} #isReadOnly
+		 */
+		this.set( 'isReadOnly', false );
+
+		/**
+		 * Whether there are no anchors in the panel.
+		 *
+		 * @observable
+		 * @member {Boolean} #isEmpty
+		 */
+		this.set( 'isEmpty', true );
+
+		/**
+		 * The collection of the anchor item views, in the document order.
+		 *
+		 * @readonly
+		 * @member {module:ui/viewcollection~ViewCollection}
+		 */
+		this.items = this.createCollection();
+
+		/**
+		 * The item views by the anchor IDs. The views are reused when the panel is updated,
+		 * so an open inline rename form is not lost when the content changes.
+		 *
+		 * @private
+		 * @member {Map.<String,module:anchor/ui/anchorspanelitemview~AnchorsPanelItemView>}
+		 */
+		this._itemsById = new Map();
+
+		this.setTemplate( {
+			tag: 'div',
+
+			attributes: {
+				class: [
+					'ck',
+					'ck-anchors-panel'
+				]
+			},
+
+			children: [
+				{
+					tag: 'h2',
+					attributes: {
+						class: [ 'ck', 'ck-anchors-panel__title' ]
+					},
+					children: [ t( 'Anchors' ) ]
+				},
+				{
+					tag: 'ul',
+					attributes: {
+						class: [ 'ck', 'ck-anchors-panel__list' ]
+					},
+					children: this.items
+				},
+				{
+					tag: 'p',
+					attributes: {
+						class: [
+							'ck',
+							'ck-anchors-panel__empty',
+							bind.if( 'isEmpty', 'ck-hidden', isEmpty => !isEmpty )
+						]
+					},
+					children: [ t( 'No anchors found' ) ]
+				}
+			]
+		} );
+	}
+
+	/**
+	 * Updates the panel to display the given anchors.
+	 *
+	 * @param {Array.<module:anchor/ui/anchorspanelview~AnchorsPanelItem>} anchors The anchors in the document order.
+	 */
+	setAnchors( anchors ) {
+		const ids = new Set( anchors.map( anchor => anchor.id ) );
+
+		for ( const [ id, itemView ] of this._itemsById ) {
+			if ( !ids.has( id ) ) {
+				this._itemsById.delete( id );
+				this.items.remove( itemView );
+				itemView.destroy();
+			}
+		}
+
+		anchors.forEach( ( { id, text, linkCount, errorText }, index ) => {
+			const itemView = this._itemsById.get( id ) || this._createItem( id );
+
+			itemView.set( { text, linkCount, errorText } );
+
+			// Move the item only if needed, so its DOM element (and the focus inside it) is kept.
+			if ( this.items.get( index ) !== itemView ) {
+				if ( this.items.has( itemView ) ) {
+					this.items.remove( itemView );
+				}
+
+				this.items.add( itemView, index );
+			}
+		} );
+
+		this.isEmpty = !anchors.length;
+	}
+
+	/**
+	 * Returns the item view of the anchor with the given ID or `null` if the anchor is not in the panel.
+	 *
+	 * @param {String} id
+	 * @returns {module:anchor/ui/anchorspanelitemview~AnchorsPanelItemView|null}
+	 */
+	getItem( id ) {
+		return this._itemsById.get( id ) || null;
+	}
+
+	/**
+	 * Creates the item view of the anchor.
+	 *
+	 * @private
+	 * @param {String} id
+	 * @returns {module:anchor/ui/anchorspanelitemview~AnchorsPanelItemView}
+	 */
+	_createItem( id ) {
+		const itemView = new AnchorsPanelItemView( this.locale );
+
+		itemView.id = id;
+		itemView.bind( 'isReadOnly' ).to( this );
+		itemView.delegate( 'goTo', 'rename', 'unanchor' ).to( this );
+
+		this._itemsById.set( id, itemView );
+
+		return itemView;
+	}
+
+	/**
+	 * Fired when the "go to" button of an anchor was executed.
+	 *
+	 * @event goTo
+	 * @param {String} id The anchor ID.
+	 */
+
+	/**
+	 * Fired when the inline rename form of an anchor was submitted. The source of the event is the
+	 * {@link module:anchor/ui/anchorspanelitemview~AnchorsPanelItemView item view}.
+	 *
+	 * @event rename
+	 * @param {String} id The anchor ID.
+	 * @param {String} newId The new anchor ID typed by the user.
+	 */
+
+	/**
+	 * Fired when the unanchor button of an anchor was executed.
+	 *
+	 * @event unanchor
+	 * @param {String} id The anchor ID.
+	 */
+}
+
+/**
+ * An anchor displayed in the {@link module:anchor/ui/anchorspanelview~AnchorsPanelView}.
+ *
+ * @typedef {Object} module:anchor/ui/anchorspanelview~AnchorsPanelItem
+ * @property {String} id The anchor ID.
+ * @property {String} text The anchored text.
+ * @property {Number} linkCount The number of links in the document pointing at the anchor.
+ * @property {String|null} errorText The message explaining why the anchor ID is not valid or `null` if it is valid.
+ */
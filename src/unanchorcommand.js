@@ -10,7 +10,7 @@
 import Command from '@ckeditor/ckeditor5-core/src/command';
 import findAttributeRange from '@ckeditor/ckeditor5-typing/src/utils/findattributerange';
 import first from '@ckeditor/ckeditor5-utils/src/first';
-import { isImageAllowed } from './utils';
+import { findBlockAnchorElement, getValidAnchorRanges, isImageAllowed, isPointAnchor } from './utils';
 
 /**
  * The unanchor command. It is used by the {@link module:anchor/anchor~Anchor anchor plugin}.
@@ -41,6 +41,10 @@ export default class UnanchorCommand extends Command {
 	 *
 	 * When the selection is collapsed, it removes the `anchorId` attribute from each node with the same `anchorId` attribute value.
 	 * When the selection is non-collapsed, it removes the `anchorId` attribute from each node in selected ranges.
+	 * Point anchors found in selected ranges are removed entirely as they are meaningless without the `anchorId` attribute.
+	 *
+	 * When the selection is collapsed, is not inside the text with the `anchorId` attribute and is inside an anchored block
+	 * (see {@link module:anchor/anchor~AnchorConfig#blockElements}), the `anchorId` attribute is removed from that block.
 	 *
 	 * # Decorators
 	 *
@@ -56,6 +60,16 @@ export default class UnanchorCommand extends Command {
 		const anchorCommand = editor.commands.get( 'anchor' );
 
 		model.change( writer => {
+			if ( selection.isCollapsed && !selection.hasAttribute( 'anchorId' ) ) {
+				const blockAnchorElement = findBlockAnchorElement( selection.getFirstPosition(), model.schema );
+
+				if ( blockAnchorElement ) {
+					writer.removeAttribute( 'anchorId', blockAnchorElement );
+
+					return;
+				}
+			}
+
 			// Get ranges to unanchor.
 			const rangesToUnanchor = selection.isCollapsed ?
 				[ findAttributeRange(
@@ -64,10 +78,19 @@ export default class UnanchorCommand extends Command {
 					selection.getAttribute( 'anchorId' ),
 					model
 				) ] :
-				model.schema.getValidRanges( selection.getRanges(), 'anchorId' );
+				getValidAnchorRanges( selection.getRanges(), model );
+
+			// Point anchors have no content so they are removed rather than stripped of the attribute.
+			const pointAnchors = [];
 
 			// Remove `anchorId` attribute from specified ranges.
 			for ( const range of rangesToUnanchor ) {
+				for ( const item of range.getItems() ) {
+					if ( isPointAnchor( item ) ) {
+						pointAnchors.push( item );
+					}
+				}
+
 				writer.removeAttribute( 'anchorId', range );
 				// If there are registered custom attributes, then remove them during unanchor.
 				if ( anchorCommand ) {
@@ -76,6 +99,10 @@ export default class UnanchorCommand extends Command {
 					}
 				}
 			}
+
+			for ( const pointAnchor of pointAnchors ) {
+				writer.remove( pointAnchor );
+			}
 		} );
 	}
 }
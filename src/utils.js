@@ -7,6 +7,8 @@
  * @module anchor/utils
  */
 
+import { toWidget } from '@ckeditor/ckeditor5-widget/src/utils';
+import CKEditorError from '@ckeditor/ckeditor5-utils/src/ckeditorerror';
 import { upperFirst } from 'lodash-es';
 
 const ATTRIBUTE_WHITESPACES = /[\u0000-\u0020\u00A0\u1680\u180E\u2000-\u2029\u205f\u3000]/g; // eslint-disable-line no-control-regex
@@ -19,23 +21,100 @@ const EMAIL_REG_EXP = /^[\S]+@((?![-_])(?:[-\w\u00a1-\uffff]{0,63}[^-_]\.))+(?:[
 // or non-word characters at the beginning of the anchor ('/', '#' etc.).
 const PROTOCOL_REG_EXP = /^((\w+:(\/{2,})?)|(\W))/i;
 
+// Letters which are not decomposed into a base letter and a diacritic mark by the Unicode normalization.
+const ASCII_REPLACEMENTS = {
+	ß: 'ss', æ: 'ae', Æ: 'AE', œ: 'oe', Œ: 'OE', ø: 'o', Ø: 'O', ł: 'l', Ł: 'L', đ: 'd', Đ: 'D', þ: 'th', Þ: 'TH'
+};
+
+// The number of the IDs tried by `generateAnchorId()` before it gives up on the IDs matching the reserved patterns.
+const MAX_RESERVED_ID_ATTEMPTS = 10;
+
+// The built-in strategies of `slugify()`.
+const SLUGIFY_STRATEGIES = {
+	github: text => text.toLowerCase().replace( /[^\p{L}\p{N}\p{M}\s_-]/gu, '' ).replace( /\s/g, '-' ),
+
+	lowercase: text => toHyphenated( text.toLowerCase(), /[^\p{L}\p{N}\p{M}]+/gu ),
+
+	ascii: text => {
+		const transliteratedText = text
+			.replace( /[ßæÆœŒøØłŁđĐþÞ]/g, letter => ASCII_REPLACEMENTS[ letter ] )
+			.normalize( 'NFD' )
+			.replace( /\p{M}/gu, '' );
+
+		return toHyphenated( transliteratedText.toLowerCase(), /[^a-z0-9]+/g );
+	},
+
+	unicode: text => text.replace( /[^\p{L}\p{N}\p{M}\s_-]/gu, '' ).trim().replace( /\s+/g, '-' )
+};
+
+/**
+ * The default {@link module:anchor/anchor~AnchorConfig#idPolicy anchor ID policy}.
+ *
+ * @type {module:anchor/anchor~AnchorIdPolicy}
+ */
+export const DEFAULT_ID_POLICY = {
+	mode: 'normalize',
+	pattern: /^\S+$/,
+	maxLength: 128,
+	lowerCase: false,
+	whitespace: '-',
+	stripInvalid: true,
+	invalidCharacters: /[^\p{L}\p{N}\p{M}_.:-]/gu
+};
+
 /**
- * A keystroke used by the {@link module:anchor/anchorui~AnchorUI anchor UI feature}.
+ * A keystroke used by the {@link module:anchor/anchorui~AnchorUI anchor UI feature}. It is the default value
+ * of {@link module:anchor/anchor~AnchorKeystrokesConfig#anchor `config.anchor.keystrokes.anchor`}.
  */
 export const LINK_KEYSTROKE = 'Ctrl+M';
 
 /**
  * Returns `true` if a given view node is the anchor element.
  *
+ * **Note**: When an anchor and a link cover the same text, the view writer merges their `<a>` elements into one. Custom properties
+ * of the merged element are not moved, but classes are, so the anchor is also recognized by the `ck-anchor` class.
+ *
  * @param {module:engine/view/node~Node} node
  * @returns {Boolean}
  */
 export function isAnchorElement( node ) {
-	return node.is( 'attributeElement' ) && !!node.getCustomProperty( 'anchor' );
+	return node.is( 'attributeElement' ) && ( !!node.getCustomProperty( 'anchor' ) || node.hasClass( 'ck-anchor' ) );
+}
+
+/**
+ * Returns `true` if a given view node is the link element created by the {@link module:link/link~Link link feature}.
+ *
+ * @param {module:engine/view/node~Node} node
+ * @returns {Boolean}
+ */
+export function isLinkElement( node ) {
+	return node.is( 'attributeElement' ) && !!node.getCustomProperty( 'link' );
+}
+
+/**
+ * Returns `true` if a given view node is the point anchor element rendered in the editing view.
+ *
+ * @param {module:engine/view/node~Node} node
+ * @returns {Boolean}
+ */
+export function isPointAnchorElement( node ) {
+	return node.is( 'containerElement' ) && !!node.getCustomProperty( 'anchor' );
+}
+
+/**
+ * Returns `true` if the specified model `element` is a point anchor, i.e. the empty `<anchor>` element
+ * that marks a position in the content.
+ *
+ * @param {module:engine/model/element~Element|null} element
+ * @returns {Boolean}
+ */
+export function isPointAnchor( element ) {
+	return !!element && element.is( 'element', 'anchor' );
 }
 
 /**
  * Creates a anchor {@link module:engine/view/attributeelement~AttributeElement} with the provided `id` attribute.
+ * It is used in the editing view, where the anchor is marked with the `ck-anchor` class.
  *
  * @param {String} id
  * @param {module:engine/conversion/downcastdispatcher~DowncastConversionApi} conversionApi
@@ -50,6 +129,103 @@ export function createAnchorElement( id, { writer } ) {
 	return anchorElement;
 }
 
+/**
+ * Creates a anchor {@link module:engine/view/attributeelement~AttributeElement} rendered in the editor data according to
+ * the {@link module:anchor/anchor~AnchorConfig#output `config.anchor.output`} configuration.
+ *
+ * @param {String} id
+ * @param {module:anchor/anchor~AnchorOutputConfig} output
+ * @param {module:engine/conversion/downcastdispatcher~DowncastConversionApi} conversionApi
+ * @returns {module:engine/view/attributeelement~AttributeElement}
+ */
+export function createDataAnchorElement( id, output, { writer } ) {
+	// Priority 5 - https://github.com/ckeditor/ckeditor5-anchor/issues/121.
+	const anchorElement = writer.createAttributeElement( output.element, getDataAnchorAttributes( id, output ), { priority: 5 } );
+	writer.setCustomProperty( 'anchor', true, anchorElement );
+
+	return anchorElement;
+}
+
+/**
+ * Creates an empty point anchor {@link module:engine/view/emptyelement~EmptyElement} with the provided `id` attribute.
+ * It is used in the data pipeline, where the point anchor is represented as `<a id="..."></a>` (or another element
+ * configured in {@link module:anchor/anchor~AnchorConfig#output `config.anchor.output`}).
+ *
+ * @param {String} id
+ * @param {module:anchor/anchor~AnchorOutputConfig} output
+ * @param {module:engine/conversion/downcastdispatcher~DowncastConversionApi} conversionApi
+ * @returns {module:engine/view/emptyelement~EmptyElement}
+ */
+export function createPointAnchorElement( id, output, { writer } ) {
+	return writer.createEmptyElement( output.element, getDataAnchorAttributes( id, output ) );
+}
+
+/**
+ * Creates a point anchor element which is not rendered in the data, for instance, when the anchors are stripped.
+ * The model element must still be mapped to a view element, so the positions of the content after it can be mapped,
+ * hence an empty {@link module:engine/view/uielement~UIElement} rendering nothing is used.
+ *
+ * @param {module:engine/conversion/downcastdispatcher~DowncastConversionApi} conversionApi
+ * @returns {module:engine/view/uielement~UIElement}
+ */
+export function createHiddenPointAnchorElement( { writer } ) {
+	return writer.createUIElement( 'span', null, function( domDocument ) {
+		return domDocument.createDocumentFragment();
+	} );
+}
+
+/**
+ * Returns `true` if anchors should be removed from the data produced by the current conversion, i.e. when the data
+ * was requested with the `anchors: 'strip'` option:
+ *
+ *		editor.getData( { anchors: 'strip' } );
+ *
+ * @param {module:engine/conversion/downcastdispatcher~DowncastConversionApi} conversionApi
+ * @returns {Boolean}
+ */
+export function shouldStripAnchors( conversionApi ) {
+	return !!conversionApi.options && conversionApi.options.anchors == 'strip';
+}
+
+/**
+ * Creates a point anchor widget displayed in the editing view. Since the point anchor has no content,
+ * it is rendered as an inline widget showing the anchor icon.
+ *
+ * @param {String} id
+ * @param {module:engine/conversion/downcastdispatcher~DowncastConversionApi} conversionApi
+ * @returns {module:engine/view/containerelement~ContainerElement}
+ */
+export function createPointAnchorWidget( id, { writer } ) {
+	const widgetElement = writer.createContainerElement( 'span', {
+		class: 'ck-anchor ck-anchor_point',
+		title: id
+	} );
+
+	writer.setCustomProperty( 'anchor', true, widgetElement );
+
+	return toWidget( widgetElement, writer );
+}
+
+// Returns the attributes of the anchor element rendered in the data.
+//
+// @param {String} id
+// @param {module:anchor/anchor~AnchorOutputConfig} output
+// @returns {Object}
+function getDataAnchorAttributes( id, output ) {
+	const attributes = Object.assign( {}, output.attributes );
+	const classes = [].concat( output.classes || [] );
+
+	for ( const key of output.idAttributes ) {
+		attributes[ key ] = id;
+	}
+
+	if ( classes.length ) {
+		attributes.class = classes.join( ' ' );
+	}
+
+	return attributes;
+}
+
 /**
  * Returns a safe URL based on a given value.
  *
@@ -58,6 +234,7 @@ export function createAnchorElement( id, { writer } ) {
  * If a URL is considered unsafe, a simple `"#"` is returned.
  *
  * @protected
+ * @deprecated Anchor IDs are not URLs, use {@link module:anchor/utils~sanitizeAnchorId `sanitizeAnchorId()`} instead.
  * @param {*} url
  * @returns {String} Safe URL.
  */
@@ -76,6 +253,24 @@ function isSafeUrl( url ) {
 	return normalizedUrl.match( SAFE_URL );
 }
 
+/**
+ * Returns a sanitized anchor ID based on a given value.
+ *
+ * Unlike URLs, IDs are never executed, so the only requirement is that they form a single token: all whitespace
+ * and control characters are removed. The same function is used when downcasting anchors to the data and to the editing view,
+ * so both views always render the same ID.
+ *
+ * @param {*} id
+ * @returns {String} Sanitized ID.
+ */
+export function sanitizeAnchorId( id ) {
+	if ( id === null || id === undefined ) {
+		return '';
+	}
+
+	return String( id ).replace( ATTRIBUTE_WHITESPACES, '' );
+}
+
 /**
  * Returns the {@link module:anchor/anchor~AnchorConfig#decorators `config.anchor.decorators`} configuration processed
  * to respect the locale of the editor, i.e. to display the {@link module:anchor/anchor~AnchorDecoratorManualDefinition label}
@@ -102,6 +297,25 @@ export function getLocalizedDecorators( t, decorators ) {
 	return decorators;
 }
 
+/**
+ * Returns the localized message explaining why an anchor ID cannot be used.
+ *
+ * @param {module:utils/locale~Locale#t} t shorthand for {@link module:utils/locale~Locale#t Locale#t}
+ * @param {'empty'|'invalid'|'reserved'|'duplicate'} reason The reason returned by
+ * {@link module:anchor/utils~validateAnchorId `validateAnchorId()`}.
+ * @returns {String}
+ */
+export function getLocalizedValidationMessage( t, reason ) {
+	const messages = {
+		empty: t( 'The anchor name cannot be empty' ),
+		invalid: t( 'The anchor name contains invalid characters' ),
+		reserved: t( 'This anchor name is reserved' ),
+		duplicate: t( 'This anchor name is already used' )
+	};
+
+	return messages[ reason ];
+}
+
 /**
  * Converts an object with defined decorators to a normalized array of decorators. The `id` key is added for each decorator and
  * is used as the attribute's name in the model.
@@ -141,6 +355,498 @@ export function isImageAllowed( element, schema ) {
 	return element.is( 'element', 'image' ) && schema.checkAttribute( 'image', 'anchorId' );
 }
 
+/**
+ * Returns `true` if the specified `element` accepts a block anchor, i.e. it is a (non-object) block element
+ * which allows having the `anchorId` attribute. See {@link module:anchor/anchor~AnchorConfig#blockElements}.
+ *
+ * @param {module:engine/model/node~Node|null} element
+ * @param {module:engine/model/schema~Schema} schema
+ * @returns {Boolean}
+ */
+export function isBlockAnchorAllowed( element, schema ) {
+	if ( !element || !element.is( 'element' ) ) {
+		return false;
+	}
+
+	return schema.checkAttribute( element, 'anchorId' ) && !schema.isInline( element ) && !schema.isObject( element );
+}
+
+/**
+ * Returns the closest ancestor of the specified `position` that has a block anchor. If there is none, the closest ancestor
+ * that accepts a block anchor is returned, or `null` if there is none either. This way, the anchor of an ancestor
+ * (e.g. a block quote) can be edited from inside of its child blocks.
+ *
+ * @param {module:engine/model/position~Position} position
+ * @param {module:engine/model/schema~Schema} schema
+ * @returns {module:engine/model/element~Element|null}
+ */
+export function findBlockAnchorElement( position, schema ) {
+	const blocks = position.getAncestors().reverse().filter( ancestor => isBlockAnchorAllowed( ancestor, schema ) );
+
+	return blocks.find( block => block.hasAttribute( 'anchorId' ) ) || blocks[ 0 ] || null;
+}
+
+/**
+ * Returns ranges on which the `anchorId` attribute can be set for a non-collapsed selection.
+ *
+ * It works like {@link module:engine/model/schema~Schema#getValidRanges} but omits elements accepting block anchors,
+ * so selecting some text spanning many blocks does not anchor the blocks themselves.
+ *
+ * @param {Iterable.<module:engine/model/range~Range>} ranges
+ * @param {module:engine/model/model~Model} model
+ * @returns {Array.<module:engine/model/range~Range>}
+ */
+export function getValidAnchorRanges( ranges, model ) {
+	const validRanges = [];
+
+	for ( const range of model.schema.getValidRanges( ranges, 'anchorId' ) ) {
+		let start = range.start;
+
+		for ( const item of range.getItems( { shallow: true } ) ) {
+			if ( !isBlockAnchorAllowed( item, model.schema ) ) {
+				continue;
+			}
+
+			const positionBefore = model.createPositionBefore( item );
+
+			if ( !start.isEqual( positionBefore ) ) {
+				validRanges.push( model.createRange( start, positionBefore ) );
+			}
+
+			start = model.createPositionAfter( item );
+		}
+
+		if ( !start.isEqual( range.end ) ) {
+			validRanges.push( model.createRange( start, range.end ) );
+		}
+	}
+
+	return validRanges;
+}
+
+/**
+ * Applies the {@link module:anchor/anchor~AnchorConfig#idPolicy anchor ID policy} to the given `id`.
+ *
+ * The `id` is trimmed, whitespaces are replaced, the letter case is folded, invalid characters are stripped and the result
+ * is truncated to the maximum length (according to the policy). Then, the result must be non-empty and match the policy pattern.
+ *
+ *		normalizeAnchorId( ' Getting started ' ); // -> 'Getting-started'
+ *		normalizeAnchorId( '#intro', { mode: 'reject' } ); // -> null
+ *
+ * This function does not depend on the editor, so it can be used to apply the exact same rules outside of it.
+ *
+ * @param {*} id The ID to normalize.
+ * @param {module:anchor/anchor~AnchorIdPolicy} [policy] The policy. Missing options are taken from the default policy.
+ * @returns {String|null} The normalized ID or `null` if the ID is invalid. In the `'reject'` mode, `null` is returned
+ * for every ID which is not in the normalized form already.
+ */
+export function normalizeAnchorId( id, policy = {} ) {
+	policy = Object.assign( {}, DEFAULT_ID_POLICY, policy );
+
+	if ( typeof id != 'string' ) {
+		return null;
+	}
+
+	let normalizedId = id.trim();
+
+	if ( typeof policy.whitespace == 'string' ) {
+		normalizedId = normalizedId.replace( /\s+/g, policy.whitespace );
+	}
+
+	if ( policy.lowerCase ) {
+		normalizedId = normalizedId.toLowerCase();
+	}
+
+	if ( policy.stripInvalid && policy.invalidCharacters ) {
+		normalizedId = normalizedId.replace( toGlobalRegExp( policy.invalidCharacters ), '' );
+	}
+
+	if ( policy.maxLength ) {
+		normalizedId = normalizedId.substr( 0, policy.maxLength );
+	}
+
+	// Unlike `RegExp#test()`, `String#search()` does not depend on the `lastIndex` of a global or sticky pattern.
+	if ( !normalizedId || ( policy.pattern && normalizedId.search( policy.pattern ) == -1 ) ) {
+		return null;
+	}
+
+	if ( policy.mode == 'reject' && normalizedId !== id ) {
+		return null;
+	}
+
+	return normalizedId;
+}
+
+/**
+ * Checks whether the given `id` is one of the {@link module:anchor/anchor~AnchorConfig#reservedIds reserved anchor IDs}.
+ *
+ *		isReservedAnchorId( 'submit', [ 'submit', /^app-/ ] ); // -> true
+ *		isReservedAnchorId( 'app-header', [ 'submit', /^app-/ ] ); // -> true
+ *		isReservedAnchorId( 'intro', [ 'submit', /^app-/ ] ); // -> false
+ *
+ * @param {String} id
+ * @param {Array.<String|RegExp>} [reservedIds]
+ * @returns {Boolean}
+ */
+export function isReservedAnchorId( id, reservedIds = [] ) {
+	// `String#search()` ignores the `lastIndex` of global regular expressions, so the result does not depend on previous calls.
+	return reservedIds.some( reservedId => reservedId instanceof RegExp ? id.search( reservedId ) > -1 : id === reservedId );
+}
+
+/**
+ * Checks whether the `id` can be used as an anchor ID. The `id` is normalized according to the `idPolicy` first
+ * (see {@link module:anchor/utils~normalizeAnchorId `normalizeAnchorId()`}), then the normalized ID is checked against
+ * the `reservedIds` and the `usedIds`.
+ *
+ *		validateAnchorId( 'intro', { usedIds: new Set( [ 'intro' ] ) } ); // -> 'duplicate'
+ *		validateAnchorId( 'Getting started' ); // -> null
+ *
+ * @param {String} id
+ * @param {Object} [options]
+ * @param {module:anchor/anchor~AnchorIdPolicy} [options.idPolicy]
+ * @param {Array.<String|RegExp>} [options.reservedIds]
+ * @param {Set.<String>} [options.usedIds] The IDs of other anchors in the document.
+ * @returns {'empty'|'invalid'|'reserved'|'duplicate'|null} The reason why the `id` cannot be used or `null` if it is valid.
+ */
+export function validateAnchorId( id, { idPolicy, reservedIds, usedIds } = {} ) {
+	if ( typeof id != 'string' || !id.trim() ) {
+		return 'empty';
+	}
+
+	const normalizedId = normalizeAnchorId( id, idPolicy );
+
+	if ( normalizedId === null ) {
+		return 'invalid';
+	}
+
+	if ( isReservedAnchorId( normalizedId, reservedIds ) ) {
+		return 'reserved';
+	}
+
+	if ( usedIds && usedIds.has( normalizedId ) ) {
+		return 'duplicate';
+	}
+
+	return null;
+}
+
+// Returns a copy of the regular expression with the global flag, so all the matches can be replaced.
+//
+// @param {RegExp} regExp
+// @returns {RegExp}
+function toGlobalRegExp( regExp ) {
+	return regExp.global ? regExp : new RegExp( regExp.source, regExp.flags + 'g' );
+}
+
+/**
+ * Returns the text covered by the model `range`, for instance, the text of an anchor or of a heading
+ * (for a range created with `model.createRangeIn( heading )`). The content of non-text nodes is skipped.
+ *
+ * @param {module:engine/model/range~Range} range
+ * @returns {String}
+ */
+export function getRangeText( range ) {
+	return Array.from( range.getItems() )
+		.filter( item => item.is( '$textProxy' ) )
+		.map( item => item.data )
+		.join( '' );
+}
+
+/**
+ * Returns all anchors found in the document roots, in the document order.
+ *
+ * Each anchor is described by its `id`, the model `range` it covers and the anchored `element` (a point anchor, an anchored
+ * block or an anchored image). For anchored text, the `element` is `null` and a continuous text with the same `anchorId`
+ * is reported as a single anchor. The text stays continuous when it is split by soft breaks, other inline elements which are
+ * not anchored or by block boundaries (e.g. after pressing <kbd>Enter</kbd> inside it), so the `range` of an anchored text
+ * may span several blocks. Use {@link module:anchor/utils~getAnchoredTextRanges `getAnchoredTextRanges()`} to change
+ * the text only.
+ *
+ * @param {module:engine/model/model~Model} model
+ * @returns {Array.<Object>} An array of `{ id, range, element }` objects.
+ */
+export function findAnchors( model ) {
+	const anchors = [];
+
+	for ( const rootName of model.document.getRootNames() ) {
+		anchors.push( ...findAnchorsInRange( model, model.createRangeIn( model.document.getRoot( rootName ) ) ) );
+	}
+
+	return anchors;
+}
+
+/**
+ * Returns anchors found in the given `range`, in the document order. See {@link module:anchor/utils~findAnchors `findAnchors()`}.
+ *
+ * **Note**: An anchored text which starts or ends outside of the `range` is reported as a whole.
+ *
+ * @param {module:engine/model/model~Model} model
+ * @param {module:engine/model/range~Range} range
+ * @returns {Array.<Object>} An array of `{ id, range, element }` objects.
+ */
+export function findAnchorsInRange( model, range ) {
+	const anchors = [];
+
+	for ( const { value: id, range: anchorRange, element } of findAttributeRanges( model, range, 'anchorId' ) ) {
+		const lastAnchor = anchors[ anchors.length - 1 ];
+
+		if ( element ) {
+			anchors.push( { id, range: anchorRange, element } );
+		} else if ( !lastAnchor || lastAnchor.element || lastAnchor.id !== id || lastAnchor.range.end.isBefore( anchorRange.start ) ) {
+			const start = getAnchoredTextEdge( model, anchorRange.start, id, 'backward' );
+			const end = getAnchoredTextEdge( model, anchorRange.end, id, 'forward' );
+
+			anchors.push( { id, range: model.createRange( start, end ), element: null } );
+		}
+	}
+
+	return anchors;
+}
+
+/**
+ * Returns the ranges of the text covered by the anchored text (see {@link module:anchor/utils~findAnchors `findAnchors()`}).
+ * Unlike the anchor `range`, they do not contain the soft breaks and block boundaries splitting the text, so they can be used
+ * to change the attributes of the text only:
+ *
+ *		for ( const range of getAnchoredTextRanges( model, anchor ) ) {
+ *			writer.setAttribute( 'anchorId', 'new-id', range );
+ *		}
+ *
+ * @param {module:engine/model/model~Model} model
+ * @param {Object} anchor
+ * @param {String} anchor.id
+ * @param {module:engine/model/range~Range} anchor.range
+ * @returns {Array.<module:engine/model/range~Range>}
+ */
+export function getAnchoredTextRanges( model, { id, range } ) {
+	return findAttributeRanges( model, range, 'anchorId' )
+		.filter( result => !result.element && result.value === id )
+		.map( result => result.range );
+}
+
+/**
+ * Returns all links pointing at the anchor with the given `id`, in the document order. A link points at the anchor when
+ * its `linkHref` attribute (set by the {@link module:link/link~Link link feature}) is `#id` or, if the ID prefix is used
+ * (see {@link module:anchor/anchor~AnchorConfig#idPrefix `config.anchor.idPrefix`}), `#prefixid`.
+ *
+ * Each link is described by its `href`, the model `range` it covers and the linked `element` (e.g. a linked image).
+ * For linked text, the `element` is `null`.
+ *
+ * @param {module:engine/model/model~Model} model
+ * @param {String} id
+ * @param {String} [idPrefix='']
+ * @returns {Array.<Object>} An array of `{ href, range, element }` objects.
+ */
+export function findAnchorLinks( model, id, idPrefix = '' ) {
+	const hrefs = [ `#${ id }`, `#${ idPrefix }${ id }` ];
+
+	return findLinks( model ).filter( link => hrefs.includes( link.href ) );
+}
+
+/**
+ * Returns the number of links pointing at each anchor ID, counted in a single pass over the document.
+ * The links are matched like in {@link module:anchor/utils~findAnchorLinks `findAnchorLinks()`}.
+ *
+ * **Note**: The IDs are taken from the links, so the map may contain IDs of anchors which do not exist.
+ *
+ * @param {module:engine/model/model~Model} model
+ * @param {String} [idPrefix='']
+ * @returns {Map.<String,Number>}
+ */
+export function countAnchorLinks( model, idPrefix = '' ) {
+	const counts = new Map();
+
+	for ( const { href } of findLinks( model ) ) {
+		if ( !href.startsWith( '#' ) ) {
+			continue;
+		}
+
+		const ids = new Set( [ href.slice( 1 ) ] );
+
+		if ( idPrefix && href.startsWith( `#${ idPrefix }` ) ) {
+			ids.add( href.slice( idPrefix.length + 1 ) );
+		}
+
+		for ( const id of ids ) {
+			counts.set( id, ( counts.get( id ) || 0 ) + 1 );
+		}
+	}
+
+	return counts;
+}
+
+/**
+ * Sets the model selection on the anchor, for instance, one found by {@link module:anchor/utils~findAnchors `findAnchors()`}.
+ *
+ * The anchored text is selected. Point anchors and anchored images are selected as a whole. In anchored blocks,
+ * the selection is collapsed at the beginning of the block, so the {@link module:anchor/unanchorcommand~UnanchorCommand}
+ * and the {@link module:anchor/anchorcommand~AnchorCommand} can be executed on the anchor.
+ *
+ * @param {module:engine/model/model~Model} model
+ * @param {Object} anchor An object with the anchor `range` and `element`.
+ */
+export function selectAnchor( model, { range, element } ) {
+	model.change( writer => {
+		if ( !element ) {
+			writer.setSelection( range );
+		} else if ( model.schema.isObject( element ) || model.schema.isInline( element ) ) {
+			writer.setSelection( element, 'on' );
+		} else {
+			writer.setSelection( element, 0 );
+		}
+	} );
+}
+
+/**
+ * Returns the model position of the anchor as the selection set by {@link module:anchor/utils~selectAnchor `selectAnchor()`}
+ * starts: at the beginning of the anchored block or before the other anchors. Comparing it with the selection tells
+ * whether the selection is before, after or at the anchor.
+ *
+ * @param {module:engine/model/model~Model} model
+ * @param {Object} anchor An object with the anchor `range` and `element`.
+ * @returns {module:engine/model/position~Position}
+ */
+export function getAnchorPosition( model, { range, element } ) {
+	if ( element && !model.schema.isInline( element ) && !model.schema.isObject( element ) ) {
+		return model.createPositionAt( element, 0 );
+	}
+
+	return range.start;
+}
+
+/**
+ * Returns the model IDs of the anchors a fragment link (e.g. `'#install'`) or a URL hash may point at: the URL-decoded
+ * fragment without the ID prefix (see {@link module:anchor/anchor~AnchorConfig#idPrefix `config.anchor.idPrefix`}),
+ * if it has one, and the whole fragment. The links are matched like in {@link module:anchor/utils~findAnchorLinks `findAnchorLinks()`}.
+ *
+ * @param {String} href
+ * @param {String} [idPrefix='']
+ * @returns {Array.<String>}
+ */
+export function getAnchorIdsFromHref( href, idPrefix = '' ) {
+	let fragment = href.slice( 1 );
+
+	try {
+		fragment = decodeURIComponent( fragment );
+	} catch ( error ) {
+		// Keep the malformed fragment as it is.
+	}
+
+	const ids = [ fragment ];
+
+	if ( idPrefix && fragment.startsWith( idPrefix ) ) {
+		ids.unshift( fragment.slice( idPrefix.length ) );
+	}
+
+	return ids;
+}
+
+// Returns all links in the document roots, in the document order.
+//
+// @param {module:engine/model/model~Model} model
+// @returns {Array.<Object>} An array of `{ href, range, element }` objects.
+function findLinks( model ) {
+	const links = [];
+
+	for ( const rootName of model.document.getRootNames() ) {
+		const range = model.createRangeIn( model.document.getRoot( rootName ) );
+
+		for ( const { value, range: linkRange, element } of findAttributeRanges( model, range, 'linkHref' ) ) {
+			links.push( { href: value, range: linkRange, element } );
+		}
+	}
+
+	return links;
+}
+
+// Returns the ranges of nodes with the given attribute found in the `range`. A continuous text with the same attribute value
+// is reported as a single range.
+//
+// @param {module:engine/model/model~Model} model
+// @param {module:engine/model/range~Range} range
+// @param {String} key The attribute key.
+// @returns {Array.<Object>} An array of `{ value, range, element }` objects.
+function findAttributeRanges( model, range, key ) {
+	const results = [];
+	let lastTextResult = null;
+
+	for ( const item of range.getItems() ) {
+		if ( !item.hasAttribute( key ) ) {
+			continue;
+		}
+
+		const value = item.getAttribute( key );
+
+		if ( !item.is( '$textProxy' ) ) {
+			results.push( { value, range: model.createRangeOn( item ), element: item } );
+
+			continue;
+		}
+
+		const start = model.createPositionAt( item.parent, item.startOffset );
+		const end = model.createPositionAt( item.parent, item.endOffset );
+
+		// Text nodes with the same attribute value split by other attributes (e.g. bold) belong to the same range.
+		if ( lastTextResult && lastTextResult.value === value && lastTextResult.range.end.isEqual( start ) ) {
+			lastTextResult.range = model.createRange( lastTextResult.range.start, end );
+		} else {
+			lastTextResult = { value, range: model.createRange( start, end ), element: null };
+			results.push( lastTextResult );
+		}
+	}
+
+	return results;
+}
+
+// Returns the position where the text anchored with the `id` ends when it is followed from the `position` in the given `direction`.
+// The soft breaks (and other inline elements which are not anchored) and block boundaries between the parts of the text are skipped.
+//
+// @param {module:engine/model/model~Model} model
+// @param {module:engine/model/position~Position} position
+// @param {String} id
+// @param {'forward'|'backward'} direction
+// @returns {module:engine/model/position~Position}
+function getAnchoredTextEdge( model, position, id, direction ) {
+	const walker = model.createRangeIn( position.root ).getWalker( { startPosition: position, direction } );
+	let edge = position;
+
+	for ( const { item, nextPosition } of walker ) {
+		if ( item.is( '$textProxy' ) ) {
+			if ( item.getAttribute( 'anchorId' ) !== id ) {
+				break;
+			}
+
+			edge = nextPosition;
+		} else if ( item.hasAttribute( 'anchorId' ) || ( model.schema.isObject( item ) && !model.schema.isInline( item ) ) ) {
+			break;
+		}
+	}
+
+	return edge;
+}
+
+/**
+ * Returns the `id` made unique among the `usedIds` by appending the first free numeric suffix to it,
+ * for example `intro-2`, `intro-3`, etc. If the `id` is not used, it is returned as is.
+ *
+ * @param {String} id
+ * @param {Set.<String>} usedIds
+ * @returns {String}
+ */
+export function getUniqueAnchorId( id, usedIds ) {
+	if ( !usedIds.has( id ) ) {
+		return id;
+	}
+
+	let suffix = 2;
+
+	while ( usedIds.has( `${ id }-${ suffix }` ) ) {
+		suffix++;
+	}
+
+	return `${ id }-${ suffix }`;
+}
+
 /**
  * Returns `true` if the specified `value` is an email.
  *
@@ -158,6 +864,7 @@ export function isEmail( value ) {
  * configuration value provided,
  * * or the anchor is an email address.
  *
+ * **Note**: It is meant for URLs. Anchor IDs are never passed through it.
  *
  * @params {String} anchor
  * @params {String} defaultProtocol
@@ -169,3 +876,111 @@ export function addAnchorProtocolIfApplicable( anchor, defaultProtocol ) {
 
 	return anchor && isProtocolNeeded ? protocol + anchor : anchor;
 }
+
+/**
+ * Generates an anchor ID (a slug) from the text, for instance, `getting-started-with-plugins` from "Getting Started with Plugins".
+ *
+ *		slugify( 'Getting Started with Plugins' ); // -> 'getting-started-with-plugins'
+ *		slugify( 'Ärger & Öl', { strategy: 'ascii' } ); // -> 'arger-ol'
+ *		slugify( 'Intro', { usedIds: new Set( [ 'intro' ] ) } ); // -> 'intro-2'
+ *
+ * The built-in strategies are:
+ *
+ * * `'github'` &ndash; The slug is created like the heading IDs on GitHub: the text is lower-cased, the punctuation is removed
+ * and each space is replaced with a hyphen.
+ * * `'lowercase'` &ndash; The text is lower-cased and each sequence of characters other than letters and digits is replaced
+ * with a single hyphen.
+ * * `'ascii'` &ndash; Like `'lowercase'`, but the letters with diacritics are transliterated to ASCII and other
+ * non-ASCII characters are removed.
+ * * `'unicode'` &ndash; The case and all letters are preserved, only the whitespace sequences are replaced with a hyphen
+ * and the punctuation is removed.
+ *
+ * A custom strategy is a function receiving the text and returning the slug. An unknown strategy name throws an error.
+ *
+ * @param {String} text
+ * @param {Object} [options]
+ * @param {'github'|'lowercase'|'ascii'|'unicode'|Function} [options.strategy='github']
+ * @param {Number} [options.maxLength=64] The maximum length of the slug (without the suffix added to make it unique).
+ * @param {Set.<String>} [options.usedIds] The IDs of existing anchors. If the slug is used, a numeric suffix is added to it
+ * (see {@link module:anchor/utils~getUniqueAnchorId `getUniqueAnchorId()`}).
+ * @returns {String} The slug or an empty string if no slug could be created from the text.
+ */
+export function slugify( text, { strategy = 'github', maxLength = 64, usedIds } = {} ) {
+	const slugifyCallback = typeof strategy == 'function' ? strategy : SLUGIFY_STRATEGIES[ strategy ];
+
+	if ( !slugifyCallback ) {
+		/**
+		 * The slugify strategy must be a function or the name of a built-in strategy: `'github'`, `'lowercase'`,
+		 * `'ascii'` or `'unicode'`. Check {@link module:anchor/anchor~AnchorConfig#slugify `config.anchor.slugify`}.
+		 *
+		 * @error anchor-slugify-unknown-strategy
+		 * @param {String} strategy The unknown strategy.
+		 */
+		throw new CKEditorError( 'anchor-slugify-unknown-strategy', null, { strategy } );
+	}
+
+	let slug = slugifyCallback( String( text ).trim() );
+
+	if ( maxLength && slug.length > maxLength ) {
+		// Do not leave a dangling separator after cutting off a word.
+		slug = slug.substr( 0, maxLength ).replace( /[-_]+$/, '' );
+	}
+
+	if ( slug && usedIds ) {
+		slug = getUniqueAnchorId( slug, usedIds );
+	}
+
+	return slug;
+}
+
+/**
+ * Generates an anchor ID from the text which can be used right away: the slug (see {@link module:anchor/utils~slugify `slugify()`})
+ * is normalized according to the `idPolicy` (see {@link module:anchor/utils~normalizeAnchorId `normalizeAnchorId()`}) and a numeric
+ * suffix is added to it if it is used or reserved.
+ *
+ *		generateAnchorId( 'Submit', { reservedIds: [ 'submit' ] } ); // -> 'submit-2'
+ *		generateAnchorId( 'App header', { reservedIds: [ /^app-/ ] } ); // -> ''
+ *
+ * The slug is normalized even if the policy is in the `'reject'` mode, as it is generated rather than typed by the user.
+ *
+ * @param {String} text
+ * @param {Object} [options]
+ * @param {'github'|'lowercase'|'ascii'|'unicode'|Function} [options.strategy='github'] See {@link module:anchor/utils~slugify}.
+ * @param {Number} [options.maxLength=64] See {@link module:anchor/utils~slugify}.
+ * @param {module:anchor/anchor~AnchorIdPolicy} [options.idPolicy]
+ * @param {Array.<String|RegExp>} [options.reservedIds]
+ * @param {Set.<String>} [options.usedIds] The IDs of existing anchors.
+ * @returns {String} The ID or an empty string if no valid ID could be generated from the text (also when the few first
+ * suffixed variants of the ID are all reserved).
+ */
+export function generateAnchorId( text, { strategy, maxLength, idPolicy, reservedIds, usedIds = new Set() } = {} ) {
+	const id = normalizeAnchorId( slugify( text, { strategy, maxLength } ), Object.assign( {}, idPolicy, { mode: 'normalize' } ) );
+
+	if ( !id ) {
+		return '';
+	}
+
+	const unavailableIds = new Set( usedIds );
+	let uniqueId = getUniqueAnchorId( id, unavailableIds );
+
+	// A reserved pattern (like `/^app-/`) may match every suffixed variant of the ID, so only a few suffixes are tried.
+	for ( let attempt = 1; isReservedAnchorId( uniqueId, reservedIds ); attempt++ ) {
+		if ( attempt == MAX_RESERVED_ID_ATTEMPTS ) {
+			return '';
+		}
+
+		unavailableIds.add( uniqueId );
+		uniqueId = getUniqueAnchorId( id, unavailableIds );
+	}
+
+	return uniqueId;
+}
+
+// Replaces each match of the `separators` with a single hyphen and removes the hyphens from both ends of the text.
+//
+// @param {String} text
+// @param {RegExp} separators
+// @returns {String}
+function toHyphenated( text, separators ) {
+	return text.replace( separators, '-' ).replace( /^-+|-+$/g, '' );
+}